@@ -1,6 +1,15 @@
 const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { createManifest, parseManifest, setDeployment, serializeManifest } = require("../lib/deployment-manifest");
 
 async function main() {
+  // Validate the existing manifest before deploying so a malformed file is never overwritten
+  const deploymentPath = path.join(__dirname, "..", "deployment.json");
+  const manifest = fs.existsSync(deploymentPath)
+    ? parseManifest(fs.readFileSync(deploymentPath, "utf8"))
+    : createManifest();
+
   console.log("Deploying FHECounter contract...");
 
   const FHECounter = await hre.ethers.getContractFactory("FHECounter");
@@ -9,20 +18,21 @@ async function main() {
   await counter.waitForDeployment();
 
   const address = await counter.getAddress();
+  const receipt = await counter.deploymentTransaction().wait();
   console.log("FHECounter deployed to:", address);
 
   // Save deployment info
-  const fs = require("fs");
+  const network = await hre.ethers.provider.getNetwork();
   const deploymentInfo = {
-    address: address,
     network: hre.network.name,
-    timestamp: new Date().toISOString(),
+    chainId: Number(network.chainId),
+    contractName: "FHECounter",
+    contractAddress: address,
+    deploymentBlock: receipt.blockNumber,
+    deployedAt: new Date().toISOString(),
   };
 
-  fs.writeFileSync(
-    "deployment.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  fs.writeFileSync(deploymentPath, serializeManifest(setDeployment(manifest, deploymentInfo)));
 
   console.log("Deployment info saved to deployment.json");
 }
@@ -1,22 +1,38 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {FHE, euint64, eaddress, ebool} from "@fhevm/solidity/lib/FHE.sol";
+import {FHE, euint64, eaddress, ebool, externalEbool, externalEuint64} from "@fhevm/solidity/lib/FHE.sol";
 import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
 
 contract PrivacyTrainingRecord is SepoliaConfig {
 
+    /// @dev Employee names and completion notes are personal data and never reach the chain: they
+    ///      are kept in an off-chain encrypted store, and a record holds only a salted commitment of
+    ///      each, keccak256(abi.encode(bytes32 salt, string value)), computed off-chain. A zero
+    ///      commitment means there is no value (a completion without notes).
     struct TrainingRecord {
         address employee;
-        string employeeName;
+        bytes32 nameCommitment;
         string trainingModule;
         ebool encryptedCompletion;
         ebool encryptedCertification;
         uint256 completionTime;
         uint256 expiryTime;
         bool isActive;
-        uint256 score;
-        string notes;
+        euint64 encryptedScore;
+        bytes32 notesCommitment;
+    }
+
+    /// @dev A record's plaintext fields as returned by the paginated views; status and score stay encrypted.
+    struct TrainingRecordView {
+        uint256 id;
+        address employee;
+        bytes32 nameCommitment;
+        string trainingModule;
+        uint256 completionTime;
+        uint256 expiryTime;
+        bool isActive;
+        bytes32 notesCommitment;
     }
 
     struct TrainingModule {
@@ -26,18 +42,29 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         bool isActive;
     }
 
-    mapping(uint256 => TrainingRecord) public trainingRecords;
+    // Private so that reads go through the access-checked views below. This only removes the
+    // generated getters: contract storage itself can still be read with eth_getStorageAt, which
+    // is why names and notes are stored as commitments only.
+    mapping(uint256 => TrainingRecord) private trainingRecords;
     mapping(string => TrainingModule) public trainingModules;
-    mapping(address => uint256[]) public employeeRecords;
+    mapping(address => uint256[]) private employeeRecords;
     mapping(address => bool) public authorizedTrainers;
+    string[] public trainingModuleIds;
+
+    uint256 public constant MAX_BATCH_SIZE = 25;
+    uint256 public constant MAX_PAGE_SIZE = 50;
 
     uint256 public recordCounter;
     address public admin;
 
-    event TrainingRecordCreated(uint256 indexed recordId, address indexed employee, string trainingModule);
-    event TrainingCompleted(uint256 indexed recordId, address indexed employee, bool passed);
+    // `trainer` is the sender, so readers get it from the log without a transaction lookup
+    event TrainingRecordCreated(uint256 indexed recordId, address indexed employee, string trainingModule, address indexed trainer);
+    event TrainingCompleted(uint256 indexed recordId, address indexed employee, address indexed trainer);
     event TrainerAuthorized(address indexed trainer);
     event TrainerRevoked(address indexed trainer);
+    event TrainingModuleAdded(string moduleId, string name);
+    event TrainingModuleStatusChanged(string moduleId, bool isActive);
+    event DecryptionAccessGranted(uint256 indexed recordId, address indexed account);
 
     modifier onlyAdmin() {
         require(msg.sender == admin, "Only admin can perform this action");
@@ -54,33 +81,33 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         authorizedTrainers[msg.sender] = true;
 
         // Initialize default training modules
-        trainingModules["data-privacy"] = TrainingModule({
-            name: "Data Privacy Fundamentals",
-            description: "Basic data privacy principles and regulations",
-            duration: 30,
-            isActive: true
-        });
+        _addTrainingModule(
+            "data-privacy",
+            "Data Privacy Fundamentals",
+            "Basic data privacy principles and regulations",
+            30
+        );
 
-        trainingModules["gdpr-compliance"] = TrainingModule({
-            name: "GDPR Compliance",
-            description: "General Data Protection Regulation compliance training",
-            duration: 45,
-            isActive: true
-        });
+        _addTrainingModule(
+            "gdpr-compliance",
+            "GDPR Compliance",
+            "General Data Protection Regulation compliance training",
+            45
+        );
 
-        trainingModules["security-awareness"] = TrainingModule({
-            name: "Security Awareness",
-            description: "Cybersecurity best practices and threat awareness",
-            duration: 60,
-            isActive: true
-        });
+        _addTrainingModule(
+            "security-awareness",
+            "Security Awareness",
+            "Cybersecurity best practices and threat awareness",
+            60
+        );
 
-        trainingModules["incident-response"] = TrainingModule({
-            name: "Incident Response",
-            description: "How to respond to privacy and security incidents",
-            duration: 30,
-            isActive: true
-        });
+        _addTrainingModule(
+            "incident-response",
+            "Incident Response",
+            "How to respond to privacy and security incidents",
+            30
+        );
     }
 
     function authorizeTrainer(address _trainer) external onlyAdmin {
@@ -99,73 +126,159 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         string calldata _description,
         uint256 _duration
     ) external onlyAdmin {
+        _addTrainingModule(_moduleId, _name, _description, _duration);
+    }
+
+    function setTrainingModuleActive(string calldata _moduleId, bool _isActive) external onlyAdmin {
+        TrainingModule storage module = trainingModules[_moduleId];
+        require(bytes(module.name).length > 0, "Training module not found");
+
+        module.isActive = _isActive;
+        emit TrainingModuleStatusChanged(_moduleId, _isActive);
+    }
+
+    // Re-adding an existing module ID updates it in place and reactivates it
+    function _addTrainingModule(
+        string memory _moduleId,
+        string memory _name,
+        string memory _description,
+        uint256 _duration
+    ) private {
+        require(bytes(_moduleId).length > 0, "Module ID required");
+        require(bytes(_name).length > 0, "Module name required");
+
+        if (bytes(trainingModules[_moduleId].name).length == 0) {
+            trainingModuleIds.push(_moduleId);
+        }
+
         trainingModules[_moduleId] = TrainingModule({
             name: _name,
             description: _description,
             duration: _duration,
             isActive: true
         });
+
+        emit TrainingModuleAdded(_moduleId, _name);
     }
 
     function createTrainingRecord(
         address _employee,
-        string calldata _employeeName,
+        bytes32 _nameCommitment,
         string calldata _trainingModule
     ) external onlyAuthorizedTrainer returns (uint256) {
+        return _createTrainingRecord(_employee, _nameCommitment, _trainingModule);
+    }
+
+    function createTrainingRecordsBatch(
+        address[] calldata _employees,
+        bytes32[] calldata _nameCommitments,
+        string[] calldata _trainingModules
+    ) external onlyAuthorizedTrainer returns (uint256[] memory recordIds) {
+        require(_employees.length > 0, "Empty batch");
+        require(_employees.length <= MAX_BATCH_SIZE, "Batch too large");
+        require(
+            _nameCommitments.length == _employees.length &&
+            _trainingModules.length == _employees.length,
+            "Array length mismatch"
+        );
+
+        recordIds = new uint256[](_employees.length);
+        for (uint256 i = 0; i < _employees.length; i++) {
+            recordIds[i] = _createTrainingRecord(_employees[i], _nameCommitments[i], _trainingModules[i]);
+        }
+    }
+
+    function _createTrainingRecord(
+        address _employee,
+        bytes32 _nameCommitment,
+        string memory _trainingModule
+    ) private returns (uint256) {
+        require(_nameCommitment != bytes32(0), "Name commitment required");
         require(trainingModules[_trainingModule].isActive, "Training module not active");
 
         uint256 recordId = recordCounter++;
         TrainingRecord storage record = trainingRecords[recordId];
 
         record.employee = _employee;
-        record.employeeName = _employeeName;
+        record.nameCommitment = _nameCommitment;
         record.trainingModule = _trainingModule;
         record.encryptedCompletion = FHE.asEbool(false);
         record.encryptedCertification = FHE.asEbool(false);
         record.completionTime = 0;
         record.expiryTime = 0;
         record.isActive = true;
-        record.score = 0;
-        record.notes = "";
+        record.encryptedScore = FHE.asEuint64(0);
+        record.notesCommitment = bytes32(0);
 
         FHE.allowThis(record.encryptedCompletion);
         FHE.allowThis(record.encryptedCertification);
-        FHE.allow(record.encryptedCompletion, _employee);
-        FHE.allow(record.encryptedCertification, _employee);
+        FHE.allowThis(record.encryptedScore);
+        _allowRecordDecryption(record, _employee);
+        _allowRecordDecryption(record, msg.sender);
 
         employeeRecords[_employee].push(recordId);
 
-        emit TrainingRecordCreated(recordId, _employee, _trainingModule);
+        emit TrainingRecordCreated(recordId, _employee, _trainingModule, msg.sender);
         return recordId;
     }
 
-    function completeTraining(
+    /// @notice Completes a record from one encrypted input holding (completed, certified, score),
+    ///         created for this contract and the sending trainer, so neither the calldata nor the
+    ///         event reveals the outcome.
+    /// @dev The outcome can't be branched on, so the expiry is set whatever it is; decrypt the
+    ///      certification to know whether it applies.
+    function completeTrainingEncrypted(
         uint256 _recordId,
-        bool _completed,
-        bool _certified,
-        uint256 _score,
-        string calldata _notes
+        externalEbool _completed,
+        externalEbool _certified,
+        externalEuint64 _score,
+        bytes calldata _inputProof,
+        bytes32 _notesCommitment
     ) external onlyAuthorizedTrainer {
         TrainingRecord storage record = trainingRecords[_recordId];
         require(record.isActive, "Record not active");
 
-        record.encryptedCompletion = FHE.asEbool(_completed);
-        record.encryptedCertification = FHE.asEbool(_certified);
+        record.encryptedCompletion = FHE.fromExternal(_completed, _inputProof);
+        record.encryptedCertification = FHE.fromExternal(_certified, _inputProof);
+        record.encryptedScore = FHE.fromExternal(_score, _inputProof);
         record.completionTime = block.timestamp;
-        record.score = _score;
-        record.notes = _notes;
+        record.expiryTime = block.timestamp + (trainingModules[record.trainingModule].duration * 1 days);
+        record.notesCommitment = _notesCommitment;
 
-        if (_completed) {
-            TrainingModule memory module = trainingModules[record.trainingModule];
-            record.expiryTime = block.timestamp + (module.duration * 1 days);
-        }
+        _finishCompletion(_recordId, record);
+    }
 
+    function _finishCompletion(uint256 _recordId, TrainingRecord storage record) private {
         FHE.allowThis(record.encryptedCompletion);
         FHE.allowThis(record.encryptedCertification);
-        FHE.allow(record.encryptedCompletion, record.employee);
-        FHE.allow(record.encryptedCertification, record.employee);
+        FHE.allowThis(record.encryptedScore);
+        _allowRecordDecryption(record, record.employee);
+        _allowRecordDecryption(record, msg.sender);
+
+        emit TrainingCompleted(_recordId, record.employee, msg.sender);
+    }
+
+    /// @notice Lets an authorized trainer decrypt a record's completion and certification status and score.
+    /// @dev ACL grants are per handle, so trainers authorized after the record was last updated
+    ///      must request access before they can user-decrypt. Grants cannot be revoked later.
+    function grantDecryptionAccess(uint256 _recordId) external onlyAuthorizedTrainer {
+        TrainingRecord storage record = trainingRecords[_recordId];
+        require(record.isActive, "Record not active");
+
+        _allowRecordDecryption(record, msg.sender);
+
+        emit DecryptionAccessGranted(_recordId, msg.sender);
+    }
 
-        emit TrainingCompleted(_recordId, record.employee, _completed);
+    function _allowRecordDecryption(TrainingRecord storage record, address _account) private {
+        FHE.allow(record.encryptedCompletion, _account);
+        FHE.allow(record.encryptedCertification, _account);
+        FHE.allow(record.encryptedScore, _account);
+    }
+
+    /// @dev The employee themselves, any authorized trainer and the admin may read an employee's records.
+    function _canViewRecordsOf(address _employee) private view returns (bool) {
+        return msg.sender == _employee || authorizedTrainers[msg.sender] || msg.sender == admin;
     }
 
     function getEmployeeTrainingStatus(address _employee)
@@ -173,40 +286,90 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         view
         returns (uint256[] memory)
     {
+        require(_canViewRecordsOf(_employee), "Not authorized to view these records");
         return employeeRecords[_employee];
     }
 
+    /// @notice One page of all records in ID order, for trainers and the admin.
+    /// @return records at most `_limit` records starting at ID `_offset`; empty past the end
+    /// @return total the number of records
+    function getTrainingRecordsPage(uint256 _offset, uint256 _limit)
+        external
+        view
+        onlyAuthorizedTrainer
+        returns (TrainingRecordView[] memory records, uint256 total)
+    {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+        total = recordCounter;
+        records = new TrainingRecordView[](_pageLength(total, _offset, _limit));
+
+        for (uint256 i = 0; i < records.length; i++) {
+            records[i] = _toView(_offset + i);
+        }
+    }
+
+    /// @notice One page of an employee's records in assignment order, for the employee, trainers and the admin.
+    /// @return records at most `_limit` records starting at the employee's `_offset`-th record
+    /// @return total the number of records assigned to the employee
+    function getEmployeeRecordsPage(address _employee, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (TrainingRecordView[] memory records, uint256 total)
+    {
+        require(_canViewRecordsOf(_employee), "Not authorized to view these records");
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+        uint256[] storage ids = employeeRecords[_employee];
+        total = ids.length;
+        records = new TrainingRecordView[](_pageLength(total, _offset, _limit));
+
+        for (uint256 i = 0; i < records.length; i++) {
+            records[i] = _toView(ids[_offset + i]);
+        }
+    }
+
+    function _pageLength(uint256 _total, uint256 _offset, uint256 _limit) private pure returns (uint256) {
+        if (_offset >= _total) return 0;
+        return _total - _offset < _limit ? _total - _offset : _limit;
+    }
+
+    function _toView(uint256 _recordId) private view returns (TrainingRecordView memory) {
+        TrainingRecord storage record = trainingRecords[_recordId];
+        return TrainingRecordView({
+            id: _recordId,
+            employee: record.employee,
+            nameCommitment: record.nameCommitment,
+            trainingModule: record.trainingModule,
+            completionTime: record.completionTime,
+            expiryTime: record.expiryTime,
+            isActive: record.isActive,
+            notesCommitment: record.notesCommitment
+        });
+    }
+
     function getTrainingRecord(uint256 _recordId)
         external
         view
         returns (
             address employee,
-            string memory employeeName,
+            bytes32 nameCommitment,
             string memory trainingModule,
             uint256 completionTime,
             uint256 expiryTime,
             bool isActive,
-            uint256 score,
-            string memory notes
+            bytes32 notesCommitment
         )
     {
         TrainingRecord storage record = trainingRecords[_recordId];
-        require(
-            msg.sender == record.employee ||
-            authorizedTrainers[msg.sender] ||
-            msg.sender == admin,
-            "Not authorized to view this record"
-        );
+        require(_canViewRecordsOf(record.employee), "Not authorized to view this record");
 
         return (
             record.employee,
-            record.employeeName,
+            record.nameCommitment,
             record.trainingModule,
             record.completionTime,
             record.expiryTime,
             record.isActive,
-            record.score,
-            record.notes
+            record.notesCommitment
         );
     }
 
@@ -216,12 +379,7 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         returns (ebool)
     {
         TrainingRecord storage record = trainingRecords[_recordId];
-        require(
-            msg.sender == record.employee ||
-            authorizedTrainers[msg.sender] ||
-            msg.sender == admin,
-            "Not authorized"
-        );
+        require(_canViewRecordsOf(record.employee), "Not authorized");
         return record.encryptedCompletion;
     }
 
@@ -231,15 +389,21 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         returns (ebool)
     {
         TrainingRecord storage record = trainingRecords[_recordId];
-        require(
-            msg.sender == record.employee ||
-            authorizedTrainers[msg.sender] ||
-            msg.sender == admin,
-            "Not authorized"
-        );
+        require(_canViewRecordsOf(record.employee), "Not authorized");
         return record.encryptedCertification;
     }
 
+    /// @notice Score handle for user decryption; only accounts on the record's ACL can decrypt it.
+    function getEncryptedScore(uint256 _recordId)
+        external
+        view
+        returns (euint64)
+    {
+        TrainingRecord storage record = trainingRecords[_recordId];
+        require(_canViewRecordsOf(record.employee), "Not authorized");
+        return record.encryptedScore;
+    }
+
     function isTrainingExpired(uint256 _recordId)
         external
         view
@@ -250,6 +414,38 @@ contract PrivacyTrainingRecord is SepoliaConfig {
         return block.timestamp > record.expiryTime;
     }
 
+    function getTrainingModuleCount() external view returns (uint256) {
+        return trainingModuleIds.length;
+    }
+
+    function getTrainingModules()
+        external
+        view
+        returns (
+            string[] memory moduleIds,
+            string[] memory names,
+            string[] memory descriptions,
+            uint256[] memory durations,
+            bool[] memory activeFlags
+        )
+    {
+        uint256 count = trainingModuleIds.length;
+        moduleIds = new string[](count);
+        names = new string[](count);
+        descriptions = new string[](count);
+        durations = new uint256[](count);
+        activeFlags = new bool[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            TrainingModule storage module = trainingModules[trainingModuleIds[i]];
+            moduleIds[i] = trainingModuleIds[i];
+            names[i] = module.name;
+            descriptions[i] = module.description;
+            durations[i] = module.duration;
+            activeFlags[i] = module.isActive;
+        }
+    }
+
     function getActiveTrainingModules()
         external
         view
@@ -260,30 +456,26 @@ contract PrivacyTrainingRecord is SepoliaConfig {
             uint256[] memory durations
         )
     {
-        // For simplicity, return the predefined modules
-        moduleIds = new string[](4);
-        names = new string[](4);
-        descriptions = new string[](4);
-        durations = new uint256[](4);
-
-        moduleIds[0] = "data-privacy";
-        names[0] = trainingModules["data-privacy"].name;
-        descriptions[0] = trainingModules["data-privacy"].description;
-        durations[0] = trainingModules["data-privacy"].duration;
-
-        moduleIds[1] = "gdpr-compliance";
-        names[1] = trainingModules["gdpr-compliance"].name;
-        descriptions[1] = trainingModules["gdpr-compliance"].description;
-        durations[1] = trainingModules["gdpr-compliance"].duration;
-
-        moduleIds[2] = "security-awareness";
-        names[2] = trainingModules["security-awareness"].name;
-        descriptions[2] = trainingModules["security-awareness"].description;
-        durations[2] = trainingModules["security-awareness"].duration;
-
-        moduleIds[3] = "incident-response";
-        names[3] = trainingModules["incident-response"].name;
-        descriptions[3] = trainingModules["incident-response"].description;
-        durations[3] = trainingModules["incident-response"].duration;
+        uint256 activeCount = 0;
+        for (uint256 i = 0; i < trainingModuleIds.length; i++) {
+            if (trainingModules[trainingModuleIds[i]].isActive) activeCount++;
+        }
+
+        moduleIds = new string[](activeCount);
+        names = new string[](activeCount);
+        descriptions = new string[](activeCount);
+        durations = new uint256[](activeCount);
+
+        uint256 index = 0;
+        for (uint256 i = 0; i < trainingModuleIds.length; i++) {
+            TrainingModule storage module = trainingModules[trainingModuleIds[i]];
+            if (!module.isActive) continue;
+
+            moduleIds[index] = trainingModuleIds[i];
+            names[index] = module.name;
+            descriptions[index] = module.description;
+            durations[index] = module.duration;
+            index++;
+        }
     }
 }
@@ -0,0 +1,135 @@
+/**
+ * Analytics
+ *
+ * Aggregations behind the web app's analytics view. Pure functions over the
+ * record objects the app loads (see fetchRecord() in index.html), so they run
+ * unchanged in the browser (window.Analytics) and in the tests (CommonJS).
+ *
+ * Times are unix seconds, as stored on chain.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Analytics = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DAY = 86400;
+
+  // Upper bounds in days; the last bucket is open ended
+  const DURATION_BUCKETS = [
+    { label: "< 1 day", maxDays: 1 },
+    { label: "1-3 days", maxDays: 3 },
+    { label: "3-7 days", maxDays: 7 },
+    { label: "1-2 weeks", maxDays: 14 },
+    { label: "2-4 weeks", maxDays: 30 },
+    { label: "> 30 days", maxDays: Infinity },
+  ];
+
+  function isCompleted(record) {
+    return record.completionTime > 0;
+  }
+
+  /**
+   * Share of records per module that have been completed, in catalog order.
+   * Modules with records but missing from the catalog are appended by ID.
+   */
+  function completionRateByModule(records, modules) {
+    const rows = new Map();
+    modules.forEach((module) => rows.set(module.id, { moduleId: module.id, label: module.name, total: 0, completed: 0 }));
+
+    records.forEach((record) => {
+      if (!rows.has(record.trainingModule)) {
+        rows.set(record.trainingModule, { moduleId: record.trainingModule, label: record.trainingModule, total: 0, completed: 0 });
+      }
+      const row = rows.get(record.trainingModule);
+      row.total += 1;
+      if (isCompleted(record)) row.completed += 1;
+    });
+
+    return [...rows.values()].map((row) => ({ ...row, rate: row.total > 0 ? row.completed / row.total : 0 }));
+  }
+
+  /** Completed records per score bucket; the top bucket includes 100. */
+  function scoreDistribution(records, bucketSize = 10) {
+    const bucketCount = Math.ceil(100 / bucketSize);
+    const buckets = Array.from({ length: bucketCount }, (_, i) => {
+      const min = i * bucketSize;
+      const max = i === bucketCount - 1 ? 100 : min + bucketSize - 1;
+      return { label: `${min}-${max}`, min, max, count: 0 };
+    });
+
+    records.filter(isCompleted).forEach((record) => {
+      const score = Math.min(Math.max(Number(record.score), 0), 100);
+      buckets[Math.min(Math.floor(score / bucketSize), bucketCount - 1)].count += 1;
+    });
+    return buckets;
+  }
+
+  /**
+   * Days from enrollment to completion for completed records whose enrollment time is known.
+   * enrolledAt maps record ID to its enrollment timestamp.
+   */
+  function timeToComplete(records, enrolledAt) {
+    const buckets = DURATION_BUCKETS.map((bucket) => ({ label: bucket.label, count: 0 }));
+    const durations = [];
+
+    records.filter(isCompleted).forEach((record) => {
+      const start = enrolledAt.get(record.id);
+      if (!start || start > record.completionTime) return;
+
+      const days = (record.completionTime - start) / DAY;
+      durations.push(days);
+      buckets[DURATION_BUCKETS.findIndex((bucket) => days < bucket.maxDays)].count += 1;
+    });
+
+    durations.sort((a, b) => a - b);
+    const middle = Math.floor(durations.length / 2);
+    const medianDays = durations.length === 0
+      ? null
+      : durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+
+    return { buckets, medianDays, sampleSize: durations.length };
+  }
+
+  /** Certifications expiring in each of the next `months` calendar months (UTC), starting with the current one. */
+  function expiriesPerMonth(records, now, months = 12) {
+    const start = new Date(now * 1000);
+    const buckets = Array.from({ length: months }, (_, i) => {
+      const month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+      return { label: month.toISOString().slice(0, 7), count: 0 };
+    });
+    const end = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1) / 1000;
+
+    records.forEach((record) => {
+      if (record.expiryTime <= now || record.expiryTime >= end) return;
+      const expiry = new Date(record.expiryTime * 1000);
+      const index = (expiry.getUTCFullYear() - start.getUTCFullYear()) * 12 + expiry.getUTCMonth() - start.getUTCMonth();
+      buckets[index].count += 1;
+    });
+    return buckets;
+  }
+
+  /** Completed records per trainer (the account that completed them), busiest first. */
+  function trainerThroughput(records) {
+    const counts = new Map();
+    records.filter((record) => isCompleted(record) && record.trainer).forEach((record) => {
+      const trainer = record.trainer.toLowerCase();
+      counts.set(trainer, (counts.get(trainer) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+      .map(([trainer, completed]) => ({ trainer, completed }))
+      .sort((a, b) => b.completed - a.completed || a.trainer.localeCompare(b.trainer));
+  }
+
+  return {
+    completionRateByModule,
+    scoreDistribution,
+    timeToComplete,
+    expiriesPerMonth,
+    trainerThroughput,
+  };
+});
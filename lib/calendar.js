@@ -0,0 +1,106 @@
+/**
+ * Calendar
+ *
+ * Builds iCalendar (RFC 5545) files for the web app's recertification export.
+ * Each event is an all-day entry on the date a certification expires, with an
+ * optional reminder some days before. Shared by the web app (window.Calendar)
+ * and the tests (CommonJS).
+ *
+ * Times are unix seconds, as stored on chain.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Calendar = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const PRODUCT_ID = "-//Privacy Training Record Tracker//Recertifications//EN";
+  const MAX_LINE_OCTETS = 75;
+
+  // TEXT values escape backslashes, semicolons, commas and newlines
+  function escapeText(value) {
+    return String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  // Lines longer than 75 octets continue on the next line after a single space;
+  // never split inside a multi-byte character
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = "";
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = "";
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+  }
+
+  // Dates are UTC, matching how the rest of the app formats expiry dates
+  function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10).replace(/-/g, "");
+  }
+
+  function formatDateTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  }
+
+  /**
+   * Returns the .ics file content.
+   * events: [{ uid, date, summary, description?, reminderDays? }], `date` in unix seconds.
+   * options: { name?, now? } where `now` (unix seconds) stamps every event.
+   */
+  function buildCalendar(events, options = {}) {
+    const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODUCT_ID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+    if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+    events.forEach((event) => {
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${escapeText(event.uid)}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+        `DTEND;VALUE=DATE:${formatDate(event.date + 86400)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+      );
+      if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      lines.push("TRANSP:TRANSPARENT");
+      if (event.reminderDays > 0) {
+        lines.push(
+          "BEGIN:VALARM",
+          "ACTION:DISPLAY",
+          `DESCRIPTION:${escapeText(event.summary)}`,
+          `TRIGGER:-P${Math.floor(event.reminderDays)}D`,
+          "END:VALARM"
+        );
+      }
+      lines.push("END:VEVENT");
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+  }
+
+  return {
+    escapeText,
+    buildCalendar,
+  };
+});
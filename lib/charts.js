@@ -0,0 +1,140 @@
+/**
+ * Charts
+ *
+ * Minimal canvas bar charts for the analytics view, drawn locally so no chart
+ * library or CDN is needed. Charts paint their own background, so a canvas can
+ * be exported as a PNG that reads the same as on screen.
+ * Exposed as window.Charts.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Charts = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const THEME = {
+    background: "#2b2f5c",
+    text: "#ffffff",
+    muted: "rgba(255, 255, 255, 0.6)",
+    grid: "rgba(255, 255, 255, 0.15)",
+    bar: "#4facfe",
+    font: "12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    titleFont: "bold 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  };
+
+  const PADDING = { top: 40, right: 20, bottom: 60, left: 50 };
+
+  // Sizes the backing store to the element's CSS size at the screen's pixel density
+  function prepareCanvas(canvas) {
+    const ratio = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const context = canvas.getContext("2d");
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return { context, width, height };
+  }
+
+  function truncate(context, text, maxWidth) {
+    if (context.measureText(text).width <= maxWidth) return text;
+    let shortened = text;
+    while (shortened.length > 1 && context.measureText(shortened + "…").width > maxWidth) {
+      shortened = shortened.slice(0, -1);
+    }
+    return shortened + "…";
+  }
+
+  /**
+   * Draws a vertical bar chart.
+   * options: { title, labels: string[], values: number[], maxValue?, formatValue?, emptyMessage? }
+   */
+  function drawBarChart(canvas, options) {
+    const { title, labels, values } = options;
+    const formatValue = options.formatValue || String;
+    const { context, width, height } = prepareCanvas(canvas);
+
+    context.fillStyle = THEME.background;
+    context.fillRect(0, 0, width, height);
+
+    context.fillStyle = THEME.text;
+    context.font = THEME.titleFont;
+    context.textAlign = "left";
+    context.textBaseline = "top";
+    context.fillText(title, 12, 12);
+
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const maxValue = options.maxValue || Math.max(...values, 0);
+
+    context.font = THEME.font;
+    if (values.length === 0 || maxValue === 0) {
+      context.fillStyle = THEME.muted;
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(options.emptyMessage || "No data yet", width / 2, height / 2);
+      return;
+    }
+
+    // Horizontal grid lines at quarters of the scale
+    context.strokeStyle = THEME.grid;
+    context.fillStyle = THEME.muted;
+    context.textAlign = "right";
+    context.textBaseline = "middle";
+    for (let step = 0; step <= 4; step++) {
+      const y = PADDING.top + plotHeight - (plotHeight * step) / 4;
+      context.beginPath();
+      context.moveTo(PADDING.left, y);
+      context.lineTo(width - PADDING.right, y);
+      context.stroke();
+      context.fillText(formatValue((maxValue * step) / 4), PADDING.left - 6, y);
+    }
+
+    const slot = plotWidth / values.length;
+    const barWidth = Math.max(slot * 0.6, 1);
+    values.forEach((value, i) => {
+      const barHeight = (plotHeight * value) / maxValue;
+      const x = PADDING.left + slot * i + (slot - barWidth) / 2;
+      const y = PADDING.top + plotHeight - barHeight;
+
+      context.fillStyle = THEME.bar;
+      context.fillRect(x, y, barWidth, barHeight);
+
+      context.fillStyle = THEME.text;
+      context.textAlign = "center";
+      context.textBaseline = "bottom";
+      if (value > 0) context.fillText(formatValue(value), x + barWidth / 2, y - 2);
+
+      // Labels alternate rows when slots are narrow so neighbours don't overlap
+      context.fillStyle = THEME.muted;
+      context.textBaseline = "top";
+      const staggered = slot < 60;
+      const row = staggered ? i % 2 : 0;
+      const label = truncate(context, labels[i], (staggered ? slot * 2 : slot) - 4);
+      context.fillText(label, x + barWidth / 2, PADDING.top + plotHeight + 6 + row * 16);
+    });
+  }
+
+  /** Downloads the canvas as a PNG file. */
+  function exportPng(canvas, filename) {
+    canvas.toBlob((blob) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    }, "image/png");
+  }
+
+  return {
+    drawBarChart,
+    exportPng,
+  };
+});
@@ -0,0 +1,161 @@
+/**
+ * Components
+ *
+ * Rendering helpers for the web app. Everything interpolated into the `html`
+ * template tag is escaped unless it is itself the output of `html`, so strings
+ * read from chain or the details store (employee names, notes, module names)
+ * can never become markup.
+ * Shared by the web app (plain <script> tag, exposed as window.Components) and
+ * the tests (CommonJS require).
+ *
+ *   element.innerHTML = html`<p>${record.notes}</p>`;   // notes are escaped
+ *   render(element, recordCard(record, options));        // refuses plain strings
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Components = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const TOAST_TYPES = ["success", "error", "info"];
+  const TOAST_DURATION = 4000;
+
+  /** Markup produced by `html`; the only kind of value inserted without escaping. */
+  class SafeHtml {
+    constructor(markup) {
+      this.markup = markup;
+    }
+
+    toString() {
+      return this.markup;
+    }
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // null, undefined and false render nothing so conditionals can be written inline
+  function renderValue(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join("");
+    return escapeHtml(value);
+  }
+
+  function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+      markup += renderValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+  }
+
+  /** Replaces an element's content; only accepts `html` output. */
+  function render(element, content) {
+    if (!(content instanceof SafeHtml)) {
+      throw new TypeError("render() only accepts markup built with html``");
+    }
+    element.innerHTML = content.markup;
+  }
+
+  function formatLocalDate(timestamp) {
+    return new Date(timestamp * 1000).toLocaleDateString();
+  }
+
+  function shortAddress(address) {
+    const text = String(address);
+    return `${text.slice(0, 6)}...${text.slice(-4)}`;
+  }
+
+  function emptyState(icon, message) {
+    return html`
+      <div class="empty-state">
+        <div class="icon">${icon}</div>
+        <p>${message}</p>
+      </div>
+    `;
+  }
+
+  const NO_DETAIL = "0x" + "0".repeat(64); // Commitment of a completion without notes
+
+  // A resolved name or note, or why it can't be shown
+  function detailText(record, value) {
+    if (typeof value === "string") return value;
+    if (record.detailsStatus === "mismatch") return html`<em>⚠️ Does not match the on-chain commitment</em>`;
+    if (record.detailsStatus) return html`<em>🔒 Not available</em>`;
+    return html`<em>Loading…</em>`;
+  }
+
+  /**
+   * Card for one training record, linking to the record, employee and module routes (see router.js).
+   * options: { moduleName, moduleInactive, status: { label, className }, decrypted, canComplete, canPrintCertificate }
+   * where `decrypted` ({ completed, certified, score }) is the user-decrypted status; the score is never shown without it.
+   * The name and notes come from the details store (record-details.mjs): null when unavailable or not matching
+   * their on-chain commitment, and missing while they are still being resolved.
+   */
+  function recordCard(record, options) {
+    const { moduleName, moduleInactive, status, decrypted, canComplete, canPrintCertificate } = options;
+    // Ids are interpolated into onclick handlers, so never let anything but a number through
+    const id = Number(record.id);
+    const completed = record.completionTime > 0;
+
+    return html`
+      <div class="record-card">
+        <h3><a href="#/record/${id}">🎓 Training Record #${id}</a></h3>
+        <div class="record-info">
+          <span><strong>Employee:</strong> ${detailText(record, record.employeeName)}</span>
+          <span><strong>Address:</strong> <a href="#/employee/${encodeURIComponent(record.employee)}">${shortAddress(record.employee)}</a></span>
+          <span><strong>Module:</strong> <a href="#/module/${encodeURIComponent(record.trainingModule)}">${moduleName}</a>${moduleInactive && html` <em>(inactive module)</em>`}</span>
+          <div class="status-badge ${status.className}">${status.label}</div>
+          ${completed && html`
+            <span><strong>Completed:</strong> ${formatLocalDate(record.completionTime)}</span>
+            ${record.expiryTime > 0 && html`<span><strong>Expires:</strong> ${formatLocalDate(record.expiryTime)}</span>`}
+            ${record.notes !== "" && record.notesCommitment !== NO_DETAIL && html`<span><strong>Notes:</strong> ${detailText(record, record.notes)}</span>`}
+          `}
+        </div>
+        ${decrypted && html`
+          <div>
+            <div class="status-badge ${decrypted.completed ? "status-completed" : "status-pending"}">🔓 ${decrypted.completed ? "Passed" : "Not Passed"}</div>
+            <div class="status-badge ${decrypted.certified ? "status-completed" : "status-pending"}">🔓 ${decrypted.certified ? "Certified" : "Not Certified"}</div>
+            ${completed && html`<span><strong>🔓 Score:</strong> ${Number(decrypted.score)}/100</span>`}
+          </div>
+        `}
+        <div style="margin-top: 15px; display: flex; gap: 10px; flex-wrap: wrap;">
+          ${!decrypted && html`<button class="btn" onclick="revealRecordStatus(${id})">🔐 Reveal</button>`}
+          ${canComplete && html`<button class="btn btn-success" onclick="completeTraining(${id})">Complete Training</button>`}
+          ${canPrintCertificate && html`<button class="btn" onclick="printCertificate(${id})">🎓 Certificate</button>`}
+        </div>
+      </div>
+    `;
+  }
+
+  /** Shows a message in the toast element; the message is always set as text. */
+  function showToast(element, message, type = "success") {
+    const kind = TOAST_TYPES.includes(type) ? type : "success";
+    element.textContent = String(message);
+    element.className = `toast ${kind} show`;
+    clearTimeout(element.hideTimer);
+    element.hideTimer = setTimeout(() => {
+      element.classList.remove("show");
+    }, TOAST_DURATION);
+  }
+
+  return {
+    SafeHtml,
+    escapeHtml,
+    html,
+    render,
+    emptyState,
+    recordCard,
+    showToast,
+  };
+});
@@ -0,0 +1,161 @@
+/**
+ * Deployment Manifest
+ *
+ * Reads and writes deployment.json, the versioned per-chain record of where
+ * contracts are deployed. Shared by the deploy scripts (CommonJS require) and
+ * the web app (plain <script> tag, exposed as window.DeploymentManifest).
+ *
+ * Format (version 1):
+ *   {
+ *     "version": 1,
+ *     "deployments": {
+ *       "<chainId>": {
+ *         "network": "sepolia",
+ *         "chainId": 11155111,
+ *         "contractName": "PrivacyTrainingRecord",
+ *         "contractAddress": "0x...",
+ *         "deploymentBlock": 123,
+ *         "deployerAddress": "0x...",          (optional)
+ *         "deployedAt": "2024-01-01T00:00:00Z" (optional)
+ *         "detailsStoreUrl": "https://..."     (optional, scripts/details-store.js for this deployment)
+ *       }
+ *     }
+ *   }
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DeploymentManifest = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const MANIFEST_VERSION = 1;
+  const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+  const URL_PATTERN = /^https?:\/\/[^\s/]+(\/\S*)?$/;
+
+  class ManifestError extends Error {
+    constructor(message) {
+      super(`Invalid deployment manifest: ${message}`);
+      this.name = "ManifestError";
+    }
+  }
+
+  function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  function createManifest() {
+    return { version: MANIFEST_VERSION, deployments: {} };
+  }
+
+  function validateDeployment(deployment, key) {
+    const where = `deployments["${key}"]`;
+
+    if (!isPlainObject(deployment)) {
+      throw new ManifestError(`${where} must be an object`);
+    }
+    if (!Number.isSafeInteger(deployment.chainId) || deployment.chainId <= 0) {
+      throw new ManifestError(`${where}.chainId must be a positive integer`);
+    }
+    if (String(deployment.chainId) !== String(key)) {
+      throw new ManifestError(`${where}.chainId (${deployment.chainId}) does not match its key`);
+    }
+    if (typeof deployment.network !== "string" || deployment.network === "") {
+      throw new ManifestError(`${where}.network must be a non-empty string`);
+    }
+    if (typeof deployment.contractName !== "string" || deployment.contractName === "") {
+      throw new ManifestError(`${where}.contractName must be a non-empty string`);
+    }
+    if (typeof deployment.contractAddress !== "string" || !ADDRESS_PATTERN.test(deployment.contractAddress)) {
+      throw new ManifestError(`${where}.contractAddress must be a 0x-prefixed 20-byte hex address`);
+    }
+    if (!Number.isSafeInteger(deployment.deploymentBlock) || deployment.deploymentBlock < 0) {
+      throw new ManifestError(`${where}.deploymentBlock must be a non-negative integer`);
+    }
+    if (
+      deployment.deployerAddress !== undefined &&
+      (typeof deployment.deployerAddress !== "string" || !ADDRESS_PATTERN.test(deployment.deployerAddress))
+    ) {
+      throw new ManifestError(`${where}.deployerAddress must be a 0x-prefixed 20-byte hex address`);
+    }
+    if (deployment.deployedAt !== undefined && Number.isNaN(Date.parse(deployment.deployedAt))) {
+      throw new ManifestError(`${where}.deployedAt must be an ISO 8601 timestamp`);
+    }
+    if (
+      deployment.detailsStoreUrl !== undefined &&
+      (typeof deployment.detailsStoreUrl !== "string" || !URL_PATTERN.test(deployment.detailsStoreUrl))
+    ) {
+      throw new ManifestError(`${where}.detailsStoreUrl must be an http(s) URL`);
+    }
+  }
+
+  /**
+   * Parses and validates a manifest given as JSON text or an already-parsed object.
+   * Throws ManifestError describing the first problem found.
+   */
+  function parseManifest(input) {
+    let manifest = input;
+    if (typeof input === "string") {
+      try {
+        manifest = JSON.parse(input);
+      } catch (error) {
+        throw new ManifestError(`not valid JSON (${error.message})`);
+      }
+    }
+
+    if (!isPlainObject(manifest)) {
+      throw new ManifestError("expected a JSON object");
+    }
+    if (manifest.version !== MANIFEST_VERSION) {
+      throw new ManifestError(
+        `unsupported version ${JSON.stringify(manifest.version)}, expected ${MANIFEST_VERSION}`
+      );
+    }
+    if (!isPlainObject(manifest.deployments)) {
+      throw new ManifestError('"deployments" must be an object keyed by chainId');
+    }
+
+    Object.keys(manifest.deployments).forEach((key) => {
+      validateDeployment(manifest.deployments[key], key);
+    });
+
+    return manifest;
+  }
+
+  function getDeployment(manifest, chainId) {
+    return manifest.deployments[String(chainId)] || null;
+  }
+
+  function getChainIds(manifest) {
+    return Object.keys(manifest.deployments).map(Number);
+  }
+
+  /** Returns a copy of the manifest with the deployment for its chain added or replaced. */
+  function setDeployment(manifest, deployment) {
+    const key = String(deployment.chainId);
+    validateDeployment(deployment, key);
+
+    return {
+      version: MANIFEST_VERSION,
+      deployments: Object.assign({}, manifest.deployments, { [key]: deployment }),
+    };
+  }
+
+  function serializeManifest(manifest) {
+    parseManifest(manifest);
+    return JSON.stringify(manifest, null, 2) + "\n";
+  }
+
+  return {
+    MANIFEST_VERSION,
+    ManifestError,
+    createManifest,
+    parseManifest,
+    getDeployment,
+    getChainIds,
+    setDeployment,
+    serializeManifest,
+  };
+});
@@ -0,0 +1,554 @@
+/**
+ * PrivacyTrainingClient
+ *
+ * ES module client for the PrivacyTrainingRecord contract, built on ethers v6 and
+ * shared by the web app (imported through the import map in index.html), the
+ * deploy and details store scripts and the tests (through test/helpers.js). It
+ * owns the ABI, wraps every contract function and event, turns results and
+ * logs into plain objects (numbers, not bigints), pages through records and
+ * checks the sender's role before a transaction is sent.
+ *
+ *   const client = new PrivacyTrainingClient(address, signerOrProvider, { deploymentBlock });
+ *   const { records, nextOffset } = await client.getRecordPage({ offset: 0, limit: 20 });
+ *   const encrypted = await client.encryptCompletion(fhevm, { completed: true, certified: true, score: 92 });
+ *   const tx = await client.completeTrainingEncrypted(recordId, encrypted, notes.commitment);
+ *   const events = client.parseReceipt(await tx.wait());
+ *
+ * Reads need a provider; writes need a signer. Times are unix seconds.
+ */
+import { Contract, getAddress, isAddress } from "ethers";
+
+const RECORD_VIEW =
+  "tuple(uint256 id, address employee, bytes32 nameCommitment, string trainingModule, uint256 completionTime, uint256 expiryTime, bool isActive, bytes32 notesCommitment)";
+
+export const PRIVACY_TRAINING_ABI = [
+  "function createTrainingRecord(address employee, bytes32 nameCommitment, string trainingModule) returns (uint256)",
+  "function createTrainingRecordsBatch(address[] employees, bytes32[] nameCommitments, string[] trainingModules) returns (uint256[])",
+  "function completeTrainingEncrypted(uint256 recordId, bytes32 completed, bytes32 certified, bytes32 score, bytes inputProof, bytes32 notesCommitment)",
+  "function grantDecryptionAccess(uint256 recordId)",
+  "function getTrainingRecord(uint256 recordId) view returns (address employee, bytes32 nameCommitment, string trainingModule, uint256 completionTime, uint256 expiryTime, bool isActive, bytes32 notesCommitment)",
+  "function getEmployeeTrainingStatus(address employee) view returns (uint256[])",
+  `function getTrainingRecordsPage(uint256 offset, uint256 limit) view returns (${RECORD_VIEW}[] records, uint256 total)`,
+  `function getEmployeeRecordsPage(address employee, uint256 offset, uint256 limit) view returns (${RECORD_VIEW}[] records, uint256 total)`,
+  "function getEncryptedCompletion(uint256 recordId) view returns (bytes32)",
+  "function getEncryptedCertification(uint256 recordId) view returns (bytes32)",
+  "function getEncryptedScore(uint256 recordId) view returns (bytes32)",
+  "function isTrainingExpired(uint256 recordId) view returns (bool)",
+  "function recordCounter() view returns (uint256)",
+  "function admin() view returns (address)",
+  "function authorizedTrainers(address) view returns (bool)",
+  "function authorizeTrainer(address trainer)",
+  "function revokeTrainer(address trainer)",
+  "function addTrainingModule(string moduleId, string name, string description, uint256 duration)",
+  "function setTrainingModuleActive(string moduleId, bool isActive)",
+  "function trainingModules(string moduleId) view returns (string name, string description, uint256 duration, bool isActive)",
+  "function trainingModuleIds(uint256 index) view returns (string)",
+  "function getTrainingModuleCount() view returns (uint256)",
+  "function getTrainingModules() view returns (string[] moduleIds, string[] names, string[] descriptions, uint256[] durations, bool[] activeFlags)",
+  "function getActiveTrainingModules() view returns (string[] moduleIds, string[] names, string[] descriptions, uint256[] durations)",
+  "function MAX_BATCH_SIZE() view returns (uint256)",
+  "function MAX_PAGE_SIZE() view returns (uint256)",
+  "event TrainingRecordCreated(uint256 indexed recordId, address indexed employee, string trainingModule, address indexed trainer)",
+  "event TrainingCompleted(uint256 indexed recordId, address indexed employee, address indexed trainer)",
+  "event TrainerAuthorized(address indexed trainer)",
+  "event TrainerRevoked(address indexed trainer)",
+  "event TrainingModuleAdded(string moduleId, string name)",
+  "event TrainingModuleStatusChanged(string moduleId, bool isActive)",
+  "event DecryptionAccessGranted(uint256 indexed recordId, address indexed account)",
+];
+
+export const ROLES = Object.freeze({
+  ADMIN: "admin",
+  TRAINER: "trainer",
+  EMPLOYEE: "employee",
+  PUBLIC: "public",
+});
+
+const MANAGER_ROLES = [ROLES.ADMIN, ROLES.TRAINER];
+
+// Who may send each transaction, mirroring the contract's onlyAdmin / onlyAuthorizedTrainer
+const WRITE_ROLES = {
+  createTrainingRecord: MANAGER_ROLES,
+  createTrainingRecordsBatch: MANAGER_ROLES,
+  completeTrainingEncrypted: MANAGER_ROLES,
+  grantDecryptionAccess: MANAGER_ROLES,
+  authorizeTrainer: [ROLES.ADMIN],
+  revokeTrainer: [ROLES.ADMIN],
+  addTrainingModule: [ROLES.ADMIN],
+  setTrainingModuleActive: [ROLES.ADMIN],
+};
+
+// The contract's MAX_PAGE_SIZE; longer pages are read in several calls
+const CONTRACT_PAGE_SIZE = 50;
+
+const RECORD_EVENTS = { created: "TrainingRecordCreated", completed: "TrainingCompleted" };
+const TRAINER_EVENTS = { authorized: "TrainerAuthorized", revoked: "TrainerRevoked" };
+
+const DEFAULT_OPTIONS = {
+  deploymentBlock: 0, // First block scanned for events
+  logBlockRange: 5000, // Max blocks per eth_getLogs request
+  batchSize: 10, // Parallel getTrainingRecord calls
+  checkRoles: true, // Look up the sender's role before sending
+};
+
+/**
+ * code: "NO_SIGNER" | "NOT_AUTHORIZED" | "INVALID_ARGUMENT" | "WOULD_REVERT"
+ * WOULD_REVERT carries the provider error as `cause`, for callers that decode revert data.
+ */
+export class PrivacyTrainingClientError extends Error {
+  constructor(code, message, cause) {
+    super(message);
+    this.name = "PrivacyTrainingClientError";
+    this.code = code;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/**
+ * Status and score are encrypted and not part of a record; see getEncryptedStatus().
+ * The employee's name and the notes are kept off chain; resolve them from the
+ * details store with lib/record-details.mjs.
+ * @typedef {Object} TrainingRecord
+ * @property {number} id
+ * @property {string} employee        checksummed address
+ * @property {string} nameCommitment  salted hash of the employee's name
+ * @property {string} trainingModule  module ID
+ * @property {number} completionTime  0 while pending
+ * @property {number} expiryTime      0 until completed, then set whatever the outcome
+ * @property {boolean} isActive
+ * @property {string} notesCommitment salted hash of the notes, ZeroHash without notes
+ *
+ * @typedef {Object} TrainingModule
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {number} duration        validity in days
+ * @property {boolean} isActive
+ *
+ * @typedef {Object} RecordEvent
+ * @property {"created"|"completed"} type
+ * @property {number} recordId
+ * @property {string} employee
+ * @property {string} trainer         the account that sent the transaction
+ * @property {string} [trainingModule] created only
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ *
+ * @typedef {Object} TrainerEvent
+ * @property {"authorized"|"revoked"} type
+ * @property {string} trainer
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * Accepts a getTrainingRecord() result or a record from one of the paginated views.
+ * @returns {TrainingRecord}
+ */
+export function toTrainingRecord(recordId, result) {
+  const { employee, nameCommitment, trainingModule, completionTime, expiryTime, isActive, notesCommitment } = result;
+  return {
+    id: Number(recordId),
+    employee,
+    nameCommitment,
+    trainingModule,
+    completionTime: Number(completionTime),
+    expiryTime: Number(expiryTime),
+    isActive,
+    notesCommitment,
+  };
+}
+
+function toEventBase(log) {
+  return {
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+/** Typed event for a parsed contract log, or null for events the client doesn't type. */
+export function toContractEvent(name, args, log) {
+  switch (name) {
+    case RECORD_EVENTS.created:
+      return { type: "created", recordId: Number(args.recordId), employee: args.employee, trainer: args.trainer, trainingModule: args.trainingModule, ...toEventBase(log) };
+    case RECORD_EVENTS.completed:
+      return { type: "completed", recordId: Number(args.recordId), employee: args.employee, trainer: args.trainer, ...toEventBase(log) };
+    case TRAINER_EVENTS.authorized:
+      return { type: "authorized", trainer: args.trainer, ...toEventBase(log) };
+    case TRAINER_EVENTS.revoked:
+      return { type: "revoked", trainer: args.trainer, ...toEventBase(log) };
+    default:
+      return null;
+  }
+}
+
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function requireAddress(value, name) {
+  if (typeof value !== "string" || !isAddress(value)) {
+    throw new PrivacyTrainingClientError("INVALID_ARGUMENT", `${name} must be an address`);
+  }
+  return getAddress(value);
+}
+
+function requirePage({ offset = 0, limit = 20 } = {}) {
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    throw new PrivacyTrainingClientError("INVALID_ARGUMENT", "offset must be a non-negative integer");
+  }
+  if (!Number.isSafeInteger(limit) || limit <= 0) {
+    throw new PrivacyTrainingClientError("INVALID_ARGUMENT", "limit must be a positive integer");
+  }
+  return { offset, limit };
+}
+
+// Reads `limit` records from a paginated view in calls of at most CONTRACT_PAGE_SIZE
+async function readPages(readPage, offset, limit) {
+  const records = [];
+  let total = 0;
+  do {
+    const result = await readPage(offset + records.length, Math.min(CONTRACT_PAGE_SIZE, limit - records.length));
+    total = Number(result.total);
+    const page = result.records.map((view) => toTrainingRecord(view.id, view));
+    records.push(...page);
+    if (page.length === 0) break;
+  } while (records.length < limit && offset + records.length < total);
+  return { records, total };
+}
+
+export class PrivacyTrainingClient {
+  /**
+   * @param {string} address   contract address
+   * @param {import("ethers").ContractRunner} runner  provider (reads only) or signer
+   * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+   */
+  constructor(address, runner, options = {}) {
+    this.address = requireAddress(address, "address");
+    this.runner = runner;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.contract = new Contract(this.address, PRIVACY_TRAINING_ABI, runner);
+    this.interface = this.contract.interface;
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  get canSign() {
+    return typeof this.runner.sendTransaction === "function" && typeof this.runner.getAddress === "function";
+  }
+
+  // Roles
+
+  async getAdmin() {
+    return this.contract.admin();
+  }
+
+  async isAuthorizedTrainer(account) {
+    return this.contract.authorizedTrainers(requireAddress(account, "account"));
+  }
+
+  /** "admin" | "trainer" | "employee" for an account; "public" without one. */
+  async getRole(account) {
+    if (!account) return ROLES.PUBLIC;
+    const address = requireAddress(account, "account");
+    const [admin, isTrainer] = await Promise.all([this.contract.admin(), this.contract.authorizedTrainers(address)]);
+
+    if (admin.toLowerCase() === address.toLowerCase()) return ROLES.ADMIN;
+    return isTrainer ? ROLES.TRAINER : ROLES.EMPLOYEE;
+  }
+
+  /** Admins pass onlyAuthorizedTrainer even without a trainer grant. */
+  static canManageRecords(role) {
+    return MANAGER_ROLES.includes(role);
+  }
+
+  async getSignerAddress() {
+    if (!this.canSign) throw new PrivacyTrainingClientError("NO_SIGNER", "Connect a wallet to send transactions");
+    return this.runner.getAddress();
+  }
+
+  async requireRole(method) {
+    const allowed = WRITE_ROLES[method];
+    const role = await this.getRole(await this.getSignerAddress());
+    if (!allowed.includes(role)) {
+      const who = allowed.length === 1 ? "the admin" : "admins and authorized trainers";
+      throw new PrivacyTrainingClientError("NOT_AUTHORIZED", `Only ${who} can call ${method} (connected as ${role})`);
+    }
+    return role;
+  }
+
+  // Records
+
+  async getRecordCount() {
+    return Number(await this.contract.recordCounter());
+  }
+
+  /** @returns {Promise<TrainingRecord>} Reverts unless the caller is the employee, a trainer or the admin. */
+  async getRecord(recordId) {
+    return toTrainingRecord(recordId, await this.contract.getTrainingRecord(recordId));
+  }
+
+  /**
+   * Reads a record the way `account` would, through the contract's own access check, for
+   * services that answer on an account's behalf. Null if the contract refuses that account.
+   * @returns {Promise<TrainingRecord|null>}
+   */
+  async getRecordAs(recordId, account) {
+    try {
+      const result = await this.contract.getTrainingRecord(recordId, { from: requireAddress(account, "account") });
+      return toTrainingRecord(recordId, result);
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches records in parallel batches; records the caller can't read land in `failed`.
+   * @returns {Promise<{ records: TrainingRecord[], failed: { id: number, error: Error }[] }>}
+   */
+  async getRecords(recordIds) {
+    const records = [];
+    const failed = [];
+    for (let i = 0; i < recordIds.length; i += this.options.batchSize) {
+      const batch = recordIds.slice(i, i + this.options.batchSize);
+      const results = await Promise.allSettled(batch.map((id) => this.getRecord(id)));
+      results.forEach((result, index) => {
+        if (result.status === "fulfilled") {
+          records.push(result.value);
+        } else {
+          failed.push({ id: Number(batch[index]), error: result.reason });
+        }
+      });
+    }
+    return { records, failed };
+  }
+
+  /**
+   * One page of all records by ID, for admins and trainers; reverts for anyone else.
+   * `nextOffset` is null on the last page.
+   * @returns {Promise<{ records: TrainingRecord[], total: number, offset: number, limit: number, nextOffset: number|null }>}
+   */
+  async getRecordPage(page) {
+    const { offset, limit } = requirePage(page);
+    const { records, total } = await readPages((start, count) => this.contract.getTrainingRecordsPage(start, count), offset, limit);
+    return { records, total, offset, limit, nextOffset: offset + limit < total ? offset + limit : null };
+  }
+
+  async getEmployeeRecordIds(employee) {
+    const ids = await this.contract.getEmployeeTrainingStatus(requireAddress(employee, "employee"));
+    return ids.map(Number);
+  }
+
+  /** One page of an employee's records, in assignment order; for the employee, trainers and the admin. */
+  async getEmployeeRecordPage(employee, page) {
+    const { offset, limit } = requirePage(page);
+    const address = requireAddress(employee, "employee");
+    const { records, total } = await readPages((start, count) => this.contract.getEmployeeRecordsPage(address, start, count), offset, limit);
+    return { records, total, offset, limit, nextOffset: offset + limit < total ? offset + limit : null };
+  }
+
+  /** Ciphertext handles (ebool, ebool, euint64) for user decryption; ACL-checked by the contract. */
+  async getEncryptedStatus(recordId) {
+    const [completion, certification, score] = await Promise.all([
+      this.contract.getEncryptedCompletion(recordId),
+      this.contract.getEncryptedCertification(recordId),
+      this.contract.getEncryptedScore(recordId),
+    ]);
+    return { completion, certification, score };
+  }
+
+  async isTrainingExpired(recordId) {
+    return this.contract.isTrainingExpired(recordId);
+  }
+
+  // Modules
+
+  /** @returns {Promise<TrainingModule[]>} every registered module, in registration order */
+  async getTrainingModules() {
+    const [moduleIds, names, descriptions, durations, activeFlags] = await this.contract.getTrainingModules();
+    return moduleIds.map((id, i) => ({
+      id,
+      name: names[i],
+      description: descriptions[i],
+      duration: Number(durations[i]),
+      isActive: activeFlags[i],
+    }));
+  }
+
+  /** @returns {Promise<TrainingModule[]>} */
+  async getActiveTrainingModules() {
+    const [moduleIds, names, descriptions, durations] = await this.contract.getActiveTrainingModules();
+    return moduleIds.map((id, i) => ({ id, name: names[i], description: descriptions[i], duration: Number(durations[i]), isActive: true }));
+  }
+
+  /** @returns {Promise<TrainingModule|null>} null for an unregistered ID */
+  async getTrainingModule(moduleId) {
+    const { name, description, duration, isActive } = await this.contract.trainingModules(moduleId);
+    if (!name) return null;
+    return { id: moduleId, name, description, duration: Number(duration), isActive };
+  }
+
+  async getMaxBatchSize() {
+    return Number(await this.contract.MAX_BATCH_SIZE());
+  }
+
+  // Transactions: role check, then a staticCall pre-flight so reverts surface before the wallet prompt.
+  // Each resolves with the sent transaction; pass its receipt to parseReceipt() for typed events.
+
+  async send(method, args, overrides = {}) {
+    if (this.options.checkRoles) {
+      await this.requireRole(method);
+    } else {
+      await this.getSignerAddress();
+    }
+
+    try {
+      await this.contract[method].staticCall(...args, overrides);
+    } catch (error) {
+      throw new PrivacyTrainingClientError("WOULD_REVERT", `${method} would revert`, error);
+    }
+    return this.contract[method](...args, overrides);
+  }
+
+  /** nameCommitment: createDetail(name).commitment from lib/record-details.mjs, saved to the details store first */
+  createTrainingRecord(employee, nameCommitment, trainingModule, overrides) {
+    return this.send("createTrainingRecord", [requireAddress(employee, "employee"), nameCommitment, trainingModule], overrides);
+  }
+
+  /** entries: [{ employee, nameCommitment, trainingModule }], at most MAX_BATCH_SIZE per call */
+  createTrainingRecordsBatch(entries, overrides) {
+    const employees = entries.map((entry, i) => requireAddress(entry.employee, `entries[${i}].employee`));
+    return this.send(
+      "createTrainingRecordsBatch",
+      [employees, entries.map((entry) => entry.nameCommitment), entries.map((entry) => entry.trainingModule)],
+      overrides
+    );
+  }
+
+  /**
+   * Encrypts a training outcome as one input bound to this contract and the signer.
+   * fhevm: a relayer SDK instance, the Hardhat plugin's `fhevm`, or anything else with createEncryptedInput().
+   * @returns {Promise<{ completed, certified, score, inputProof }>} for completeTrainingEncrypted()
+   */
+  async encryptCompletion(fhevm, { completed, certified, score }) {
+    if (!Number.isSafeInteger(score) || score < 0) {
+      throw new PrivacyTrainingClientError("INVALID_ARGUMENT", "score must be a non-negative integer");
+    }
+    const input = fhevm.createEncryptedInput(this.address, await this.getSignerAddress());
+    input.addBool(Boolean(completed));
+    input.addBool(Boolean(certified));
+    input.add64(score);
+    const { handles, inputProof } = await input.encrypt();
+    return { completed: handles[0], certified: handles[1], score: handles[2], inputProof };
+  }
+
+  /** encrypted: the result of encryptCompletion(), sent by the same signer */
+  completeTrainingEncrypted(recordId, encrypted, notesCommitment, overrides) {
+    const { completed, certified, score, inputProof } = encrypted;
+    return this.send("completeTrainingEncrypted", [recordId, completed, certified, score, inputProof, notesCommitment], overrides);
+  }
+
+  grantDecryptionAccess(recordId, overrides) {
+    return this.send("grantDecryptionAccess", [recordId], overrides);
+  }
+
+  authorizeTrainer(trainer, overrides) {
+    return this.send("authorizeTrainer", [requireAddress(trainer, "trainer")], overrides);
+  }
+
+  revokeTrainer(trainer, overrides) {
+    return this.send("revokeTrainer", [requireAddress(trainer, "trainer")], overrides);
+  }
+
+  addTrainingModule(moduleId, name, description, duration, overrides) {
+    return this.send("addTrainingModule", [moduleId, name, description, duration], overrides);
+  }
+
+  setTrainingModuleActive(moduleId, isActive, overrides) {
+    return this.send("setTrainingModuleActive", [moduleId, isActive], overrides);
+  }
+
+  /** Typed events from a receipt's logs, in log order; works for receipts of replaced transactions too. */
+  parseReceipt(receipt) {
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === this.address.toLowerCase())
+      .map((log) => {
+        const parsed = this.interface.parseLog(log);
+        return parsed ? toContractEvent(parsed.name, parsed.args, log) : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Events
+
+  async queryEvents(filter, fromBlock, toBlock) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += this.options.logBlockRange) {
+      const end = Math.min(start + this.options.logBlockRange - 1, toBlock);
+      const logs = await this.contract.queryFilter(filter, start, end);
+      logs.forEach((log) => {
+        const event = toContractEvent(log.eventName, log.args, log);
+        if (event) events.push(event);
+      });
+    }
+    return events;
+  }
+
+  /**
+   * Record created/completed events, oldest first, read in logBlockRange chunks.
+   * options: { types: ["created", "completed"], recordId, employee, fromBlock, toBlock }
+   * @returns {Promise<RecordEvent[]>}
+   */
+  async queryRecordEvents(options = {}) {
+    const { types = Object.keys(RECORD_EVENTS), recordId = null, employee = null } = options;
+    const fromBlock = options.fromBlock ?? this.options.deploymentBlock;
+    const toBlock = options.toBlock ?? (await this.provider.getBlockNumber());
+    const employeeTopic = employee ? requireAddress(employee, "employee") : null;
+
+    const results = await Promise.all(types.map((type) =>
+      this.queryEvents(this.contract.filters[RECORD_EVENTS[type]](recordId, employeeTopic), fromBlock, toBlock)));
+    return results.flat().sort(byChainOrder);
+  }
+
+  /** @returns {Promise<TrainerEvent[]>} authorizations and revocations, oldest first */
+  async queryTrainerEvents(options = {}) {
+    const fromBlock = options.fromBlock ?? this.options.deploymentBlock;
+    const toBlock = options.toBlock ?? (await this.provider.getBlockNumber());
+    const results = await Promise.all(Object.values(TRAINER_EVENTS).map((name) =>
+      this.queryEvents(this.contract.filters[name](), fromBlock, toBlock)));
+    return results.flat().sort(byChainOrder);
+  }
+
+  /**
+   * Calls listener(event: RecordEvent) for new created/completed events, optionally only one employee's.
+   * @returns {Promise<() => Promise<void>>} unsubscribe
+   */
+  async onRecordEvent(listener, { employee = null } = {}) {
+    const employeeTopic = employee ? requireAddress(employee, "employee") : null;
+    const handler = (...args) => {
+      const { log } = args[args.length - 1];
+      listener(toContractEvent(log.eventName, log.args, log));
+    };
+
+    const filters = Object.values(RECORD_EVENTS).map((name) => this.contract.filters[name](null, employeeTopic));
+    await Promise.all(filters.map((filter) => this.contract.on(filter, handler)));
+    return async () => {
+      await Promise.all(filters.map((filter) => this.contract.off(filter, handler)));
+    };
+  }
+
+  async removeAllListeners() {
+    await this.contract.removeAllListeners();
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block.timestamp;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Record Details
+ *
+ * Employee names and completion notes are personal data, so they never go on
+ * chain. They are kept, encrypted, in the details store (scripts/details-store.js)
+ * and each record holds only a salted commitment of each value:
+ *
+ *   commitment = keccak256(abi.encode(bytes32 salt, string value))
+ *
+ * A random salt per value stops anyone from confirming a guessed name against
+ * the chain, and erasing a value from the store leaves nothing on chain that
+ * identifies the employee. Everything the store returns is checked against the
+ * on-chain commitment, so a tampered or mixed-up entry is never shown.
+ *
+ *   const name = createDetail("Alice Smith");              // { value, salt, commitment }
+ *   await store.save([name]);                              // before the transaction
+ *   await client.createTrainingRecord(employee, name.commitment, moduleId);
+ *   const resolved = await store.resolveRecords(records);  // adds employeeName, notes, detailsStatus
+ *
+ * Requests to the store are authenticated by one signed session message per
+ * account; the store asks the contract who may read each record. Shared by the
+ * web app (through the module bridge in index.html), the store and the tests.
+ */
+import { AbiCoder, ZeroHash, getAddress, hexlify, isHexString, keccak256, randomBytes, verifyMessage } from "ethers";
+
+// Commitment of an absent value, e.g. a completion without notes; nothing is stored for it
+export const NO_DETAIL = ZeroHash;
+
+export const SESSION_TTL = 12 * 60 * 60; // Seconds a signed session is accepted
+const SESSION_RENEW_MARGIN = 5 * 60; // Sign a new session this close to expiry; also the clock skew allowed
+
+export const MAX_RESOLVE_BATCH = 100; // Record IDs per /resolve request
+
+export const DETAILS_STATUS = Object.freeze({
+  VERIFIED: "verified", // Name and notes resolved and matching their commitments
+  UNAVAILABLE: "unavailable", // Not in the store (erased, never saved) or not readable by this account
+  MISMATCH: "mismatch", // The store returned a value that doesn't match the chain; it is dropped
+});
+
+/**
+ * code: "INVALID_ARGUMENT" | "UNAUTHORIZED" | "FORBIDDEN" | "STORE_ERROR"
+ * `status` is the HTTP status for errors the store returned.
+ */
+export class RecordDetailsError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = "RecordDetailsError";
+    this.code = code;
+    if (status !== undefined) this.status = status;
+  }
+}
+
+export function computeCommitment(value, salt) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(["bytes32", "string"], [salt, value]));
+}
+
+/**
+ * A value with a fresh random salt and its commitment. An empty value commits to
+ * NO_DETAIL, so a record without notes needs nothing in the store.
+ * @returns {{ value: string, salt: string, commitment: string }}
+ */
+export function createDetail(value) {
+  if (typeof value !== "string") {
+    throw new RecordDetailsError("INVALID_ARGUMENT", "A record detail must be a string");
+  }
+  if (value === "") return { value, salt: ZeroHash, commitment: NO_DETAIL };
+
+  const salt = hexlify(randomBytes(32));
+  return { value, salt, commitment: computeCommitment(value, salt) };
+}
+
+/** Whether `detail` ({ value, salt }) is the value committed to by `commitment`. */
+export function verifyDetail(detail, commitment) {
+  if (!detail || typeof detail.value !== "string" || !isHexString(detail.salt, 32)) return false;
+  if (commitment === NO_DETAIL) return detail.value === "";
+  return computeCommitment(detail.value, detail.salt) === commitment.toLowerCase();
+}
+
+/**
+ * Adds the verified name and notes to a record read from the chain.
+ * stored: { employeeName?, notes? }, each { value, salt }, as returned by the store.
+ * A value that doesn't match its commitment is dropped (null), never shown.
+ */
+export function resolveRecordDetails(record, stored = {}) {
+  const hasNotes = record.notesCommitment !== NO_DETAIL;
+  const nameVerified = verifyDetail(stored.employeeName, record.nameCommitment);
+  const notesVerified = !hasNotes || verifyDetail(stored.notes, record.notesCommitment);
+
+  let detailsStatus = DETAILS_STATUS.VERIFIED;
+  if ((stored.employeeName && !nameVerified) || (hasNotes && stored.notes && !notesVerified)) {
+    detailsStatus = DETAILS_STATUS.MISMATCH;
+  } else if (!nameVerified || !notesVerified) {
+    detailsStatus = DETAILS_STATUS.UNAVAILABLE;
+  }
+
+  return {
+    ...record,
+    employeeName: nameVerified ? stored.employeeName.value : null,
+    notes: !hasNotes ? "" : notesVerified ? stored.notes.value : null,
+    detailsStatus,
+  };
+}
+
+/** The text an account signs to open a session with the details store of one deployment. */
+export function sessionMessage({ account, contractAddress, chainId, expiresAt }) {
+  return [
+    "Sign in to the Privacy Training details store.",
+    "This proves you control this account so the store can show the records you may read. It costs no gas.",
+    "",
+    `Account: ${account}`,
+    `Contract: ${contractAddress}`,
+    `Chain ID: ${chainId}`,
+    `Expires: ${new Date(expiresAt * 1000).toISOString()}`,
+  ].join("\n");
+}
+
+/**
+ * Checks a session ({ account, expiresAt, signature }) for the store's deployment.
+ * @returns {string} the checksummed account that signed it
+ */
+export function verifySession(session, { contractAddress, chainId, now = Math.floor(Date.now() / 1000) }) {
+  if (!session || typeof session.signature !== "string") {
+    throw new RecordDetailsError("UNAUTHORIZED", "Sign in to the details store first");
+  }
+  const { account, expiresAt, signature } = session;
+  if (!Number.isSafeInteger(expiresAt) || expiresAt <= now) {
+    throw new RecordDetailsError("UNAUTHORIZED", "The details store session has expired");
+  }
+  if (expiresAt > now + SESSION_TTL + SESSION_RENEW_MARGIN) {
+    throw new RecordDetailsError("UNAUTHORIZED", "The details store session is valid for too long");
+  }
+
+  let signer;
+  let claimed;
+  try {
+    claimed = getAddress(account);
+    const message = sessionMessage({ account: claimed, contractAddress: getAddress(contractAddress), chainId: Number(chainId), expiresAt });
+    signer = verifyMessage(message, signature);
+  } catch (error) {
+    throw new RecordDetailsError("UNAUTHORIZED", "Invalid details store session");
+  }
+  if (signer !== claimed) {
+    throw new RecordDetailsError("UNAUTHORIZED", "Invalid details store session");
+  }
+  return signer;
+}
+
+/** Client for the details store, used by the web app and the tests. */
+export class RecordDetailsStore {
+  /**
+   * @param {string} url     base URL of the store, e.g. http://localhost:4100
+   * @param {import("ethers").Signer} signer
+   * @param {{ contractAddress: string, chainId: number, session?: object }} options
+   *        session: one saved from an earlier `store.session`, reused while it is valid
+   */
+  constructor(url, signer, { contractAddress, chainId, session = null }) {
+    this.url = url.replace(/\/+$/, "");
+    this.signer = signer;
+    this.contractAddress = getAddress(contractAddress);
+    this.chainId = Number(chainId);
+    this.session = session;
+  }
+
+  /** Signs a session message, at most once per SESSION_TTL per account. */
+  async signIn() {
+    const account = getAddress(await this.signer.getAddress());
+    const now = Math.floor(Date.now() / 1000);
+    const session = this.session;
+    if (session && session.account === account && session.expiresAt - SESSION_RENEW_MARGIN > now) return session;
+
+    const expiresAt = now + SESSION_TTL;
+    const message = sessionMessage({ account, contractAddress: this.contractAddress, chainId: this.chainId, expiresAt });
+    this.session = { account, expiresAt, signature: await this.signer.signMessage(message) };
+    return this.session;
+  }
+
+  async request(path, body) {
+    const session = await this.signIn();
+    let response;
+    try {
+      response = await fetch(`${this.url}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, session }),
+      });
+    } catch (error) {
+      throw new RecordDetailsError("STORE_ERROR", `The details store at ${this.url} is unreachable`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      if (response.status === 401) this.session = null;
+      throw new RecordDetailsError(result.code || "STORE_ERROR", result.error || `The details store answered ${response.status}`, response.status);
+    }
+    return result;
+  }
+
+  /** Saves details before their commitments are sent on chain; empty values are skipped. */
+  async save(details) {
+    const entries = details
+      .filter((detail) => detail.commitment !== NO_DETAIL)
+      .map(({ value, salt, commitment }) => ({ value, salt, commitment }));
+    if (entries.length === 0) return { saved: 0 };
+    return this.request("/details", { details: entries });
+  }
+
+  /**
+   * Stored details of the records the signer may read. Records the contract won't
+   * show the signer are listed in `denied`.
+   * @returns {Promise<{ details: Object<number, { employeeName?, notes? }>, denied: number[] }>}
+   */
+  async resolve(recordIds) {
+    const details = {};
+    const denied = [];
+    for (let i = 0; i < recordIds.length; i += MAX_RESOLVE_BATCH) {
+      const result = await this.request("/resolve", { recordIds: recordIds.slice(i, i + MAX_RESOLVE_BATCH) });
+      Object.assign(details, result.details);
+      denied.push(...result.denied);
+    }
+    return { details, denied };
+  }
+
+  /** The records with employeeName, notes and detailsStatus added; see resolveRecordDetails(). */
+  async resolveRecords(records) {
+    if (records.length === 0) return [];
+    const { details } = await this.resolve(records.map((record) => record.id));
+    return records.map((record) => resolveRecordDetails(record, details[record.id]));
+  }
+
+  /**
+   * Drops details saved for a transaction that never made it on chain (rejected, reverted).
+   * Only the account that saved them can, and only within an hour of saving.
+   */
+  async discard(details) {
+    const commitments = details.map((detail) => detail.commitment).filter((commitment) => commitment !== NO_DETAIL);
+    if (commitments.length === 0) return { discarded: 0 };
+    return this.request("/discard", { commitments });
+  }
+
+  /** Admin only: deletes a record's name and notes from the store. The commitments stay on chain. */
+  async erase(recordId) {
+    return this.request("/erase", { recordId });
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Router
+ *
+ * Hash routes for the web app's detail pages. Hash routes need no server
+ * support and leave the query string to the dashboard's filters:
+ *
+ *   #/record/12                 one training record
+ *   #/employee/0xabc...         an employee's records
+ *   #/module/data-privacy       a training module
+ *   #/verify/12                 public on-chain verification of a record
+ *
+ * An empty hash (or "#/") is the dashboard; anything else parses as notFound.
+ * Shared by the web app (window.Router) and the tests (CommonJS).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Router = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const RECORD_ID = /^\d+$/;
+  const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+  // Each route: path segment, how to validate/convert its parameter, and how to write it back
+  const ROUTES = {
+    record: { key: "id", parse: parseRecordId, format: String },
+    employee: { key: "address", parse: (value) => (ADDRESS.test(value) ? value : null), format: String },
+    module: { key: "id", parse: (value) => (value ? value : null), format: encodeURIComponent },
+    verify: { key: "id", parse: parseRecordId, format: String },
+  };
+
+  function parseRecordId(value) {
+    return RECORD_ID.test(value) ? Number(value) : null;
+  }
+
+  function decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /** Parses location.hash into { name, params }. */
+  function parseRoute(hash) {
+    const path = String(hash || "").replace(/^#/, "");
+    if (path === "" || path === "/") return { name: "dashboard", params: {} };
+
+    const match = path.match(/^\/([a-z]+)\/([^/]+)$/);
+    const route = match && Object.prototype.hasOwnProperty.call(ROUTES, match[1]) ? ROUTES[match[1]] : null;
+    const decoded = route ? decodeSegment(match[2]) : null;
+    const value = decoded !== null ? route.parse(decoded) : null;
+
+    if (value === null) return { name: "notFound", params: { path } };
+    return { name: match[1], params: { [route.key]: value } };
+  }
+
+  /** Builds the hash for a route, e.g. routePath("module", { id: "data-privacy" }). */
+  function routePath(name, params = {}) {
+    if (name === "dashboard") return "#/";
+    const route = ROUTES[name];
+    if (!route) throw new Error(`Unknown route: ${name}`);
+    return `#/${name}/${route.format(params[route.key])}`;
+  }
+
+  return {
+    parseRoute,
+    routePath,
+  };
+});
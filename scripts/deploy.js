@@ -6,11 +6,18 @@
  * Usage:
  *   npx hardhat run scripts/deploy.js --network zamaTestnet
  *   npx hardhat run scripts/deploy.js --network localhost
+ *
+ * DETAILS_STORE_URL sets the details store the app uses for this deployment; without it the
+ * previous entry's URL is kept, and local deployments default to http://localhost:4100.
  */
 
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { createManifest, getDeployment, parseManifest, setDeployment, serializeManifest } = require("../lib/deployment-manifest");
+
+// Hardhat's network (1337 in hardhat.config.ts) and a standalone node; same as LOCAL_CHAIN_IDS in index.html
+const LOCAL_CHAIN_IDS = [1337, 31337];
 
 async function main() {
   console.log("╔════════════════════════════════════════════════════════╗");
@@ -22,7 +29,7 @@ async function main() {
   console.log("📝 Deploying from account:", deployer.address);
 
   // Check balance
-  const balance = await deployer.getBalance();
+  const balance = await ethers.provider.getBalance(deployer.address);
   console.log("💰 Account balance:", ethers.formatEther(balance), "ETH\n");
 
   if (balance === 0n) {
@@ -36,6 +43,13 @@ async function main() {
   console.log("🌐 Network:", network.name);
   console.log("🔗 Chain ID:", network.chainId, "\n");
 
+  // deployment.json is keyed by chainId so one file serves every network the app supports.
+  // Read it before deploying: a malformed manifest aborts instead of being overwritten.
+  const deploymentPath = path.join(__dirname, "..", "deployment.json");
+  const manifest = fs.existsSync(deploymentPath)
+    ? parseManifest(fs.readFileSync(deploymentPath, "utf8"))
+    : createManifest();
+
   // Deploy contract
   console.log("📦 Compiling contract...");
   const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
@@ -45,43 +59,55 @@ async function main() {
   await contract.waitForDeployment();
 
   const contractAddress = await contract.getAddress();
+  const deploymentReceipt = await contract.deploymentTransaction().wait();
   console.log("✅ Contract deployed successfully!");
-  console.log("📍 Contract address:", contractAddress, "\n");
+  console.log("📍 Contract address:", contractAddress);
+  console.log("🧱 Deployment block:", deploymentReceipt.blockNumber, "\n");
 
-  // Verify deployment
+  // Verify deployment through the same client the web app uses
   console.log("🔍 Verifying deployment...");
-  const admin = await contract.admin();
+  const { PrivacyTrainingClient } = await import("../lib/privacy-training-client.mjs");
+  const client = new PrivacyTrainingClient(contractAddress, deployer, { deploymentBlock: deploymentReceipt.blockNumber });
+
+  const admin = await client.getAdmin();
   console.log("✓ Admin address:", admin);
 
-  const isAuthorized = await contract.authorizedTrainers(deployer.address);
-  console.log("✓ Deployer is authorized:", isAuthorized);
+  const role = await client.getRole(deployer.address);
+  console.log("✓ Deployer role:", role);
 
-  const recordCounter = await contract.recordCounter();
-  console.log("✓ Initial record counter:", recordCounter.toString(), "\n");
+  const recordCount = await client.getRecordCount();
+  console.log("✓ Initial record counter:", recordCount, "\n");
 
   // Get training modules
-  const [moduleIds, names] = await contract.getActiveTrainingModules();
-  console.log("✓ Active training modules:", moduleIds.length);
-  for (let i = 0; i < moduleIds.length; i++) {
-    console.log(`  - ${moduleIds[i]}: ${names[i]}`);
-  }
+  const modules = await client.getActiveTrainingModules();
+  console.log("✓ Active training modules:", modules.length);
+  modules.forEach((module) => {
+    console.log(`  - ${module.id}: ${module.name}`);
+  });
   console.log();
 
   // Save deployment information
+  const chainId = Number(network.chainId);
+  const previous = getDeployment(manifest, chainId);
+  // Where the app finds the details store (scripts/details-store.js) for this deployment
+  const detailsStoreUrl =
+    process.env.DETAILS_STORE_URL ||
+    (previous && previous.detailsStoreUrl) ||
+    (LOCAL_CHAIN_IDS.includes(chainId) ? "http://localhost:4100" : undefined);
   const deploymentInfo = {
     network: network.name,
-    chainId: network.chainId,
+    chainId: chainId,
+    contractName: "PrivacyTrainingRecord",
     contractAddress: contractAddress,
+    // The frontend starts scanning contract events from this block
+    deploymentBlock: deploymentReceipt.blockNumber,
     deployerAddress: deployer.address,
-    deploymentBlock: await ethers.provider.getBlockNumber(),
-    deploymentTimestamp: new Date().toISOString(),
-    contractName: "PrivacyTrainingRecord",
-    solidityVersion: "0.8.24",
+    deployedAt: new Date().toISOString(),
+    ...(detailsStoreUrl && { detailsStoreUrl }),
   };
 
-  const deploymentPath = path.join(__dirname, "..", "deployment.json");
-  fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-  console.log("💾 Deployment info saved to deployment.json\n");
+  fs.writeFileSync(deploymentPath, serializeManifest(setDeployment(manifest, deploymentInfo)));
+  console.log(`💾 Deployment info saved to deployment.json (chain ${chainId})\n`);
 
   // Save contract ABI
   const artifact = await hre.artifacts.readArtifact("PrivacyTrainingRecord");
@@ -107,12 +133,12 @@ COINMARKETCAP_API_KEY=YOUR_COINMARKETCAP_API_KEY
 # Contract Configuration
 CONTRACT_ADDRESS=${contractAddress}
 NETWORK_NAME=${network.name}
-CHAIN_ID=${network.chainId}
+CHAIN_ID=${chainId}
 
 # Frontend Configuration
 VITE_CONTRACT_ADDRESS=${contractAddress}
 VITE_NETWORK_NAME=${network.name}
-VITE_CHAIN_ID=${network.chainId}
+VITE_CHAIN_ID=${chainId}
 `;
 
   const envTemplatePath = path.join(__dirname, "..", ".env.example");
@@ -132,15 +158,15 @@ VITE_CHAIN_ID=${network.chainId}
 
   console.log("\n📝 Next Steps:");
   console.log("   1. Update your .env file with the contract address");
-  console.log("   2. Update frontend configuration in index.html");
+  console.log("   2. Serve deployment.json next to index.html (the app picks the entry for the wallet's chain)");
   console.log("   3. Run tests to verify functionality:");
   console.log("      npx hardhat test");
   console.log("   4. Access the application at your deployment URL");
 
   console.log("\n🔗 Blockchain Explorers:");
-  if (network.chainId === 9000) {
+  if (chainId === 9000) {
     console.log("   Zama Sepolia Explorer: https://sepolia.zamascan.io/address/" + contractAddress);
-  } else if (network.chainId === 11155111) {
+  } else if (chainId === 11155111) {
     console.log("   Etherscan Sepolia: https://sepolia.etherscan.io/address/" + contractAddress);
   }
 
@@ -0,0 +1,352 @@
+/**
+ * Privacy Training Record - Details Store
+ *
+ * Off-chain store for the personal data the contract only holds commitments
+ * of: employee names and completion notes (see lib/record-details.mjs). Values
+ * are encrypted at rest with AES-256-GCM in a local JSON file and keyed by their
+ * on-chain commitment, so erasing an entry leaves nothing on chain that
+ * identifies the employee.
+ *
+ * The contract decides who may do what:
+ *   - trainers and the admin save details, before creating or completing a record
+ *   - anyone the contract lets read a record (the employee, trainers, the admin)
+ *     resolves its details
+ *   - the admin erases a record's details
+ *   - whoever saved details can discard them for DISCARD_WINDOW seconds, so the app
+ *     can drop the details of a transaction that was rejected or reverted
+ *
+ * Details whose transaction never lands and that were not discarded (e.g. the tab
+ * closed mid-send) stay in the store, encrypted, with nothing on chain pointing at them.
+ *
+ * Usage:
+ *   npx hardhat run scripts/deploy.js --network localhost
+ *   npx hardhat run scripts/details-store.js --network localhost
+ *
+ * Environment:
+ *   DETAILS_STORE_PORT   port to listen on (default 4100)
+ *   DETAILS_STORE_FILE   encrypted data file (default .details-store/details.json)
+ *   DETAILS_STORE_KEY    64 hex characters; without it a key file is created next to the data file
+ *
+ * Endpoints (JSON, CORS enabled). Every request carries a `session` signed by the
+ * caller's wallet, see RecordDetailsStore.signIn():
+ *   POST /details  { session, details: [{ value, salt, commitment }] } -> { saved }
+ *   POST /resolve  { session, recordIds } -> { details: { [recordId]: { employeeName, notes } }, denied }
+ *   POST /erase    { session, recordId }  -> { erased }
+ *   POST /discard  { session, commitments } -> { discarded }
+ */
+
+const hre = require("hardhat");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { getDeployment, parseManifest } = require("../lib/deployment-manifest");
+
+const PORT = Number(process.env.DETAILS_STORE_PORT || 4100);
+const DEFAULT_FILE = path.join(__dirname, "..", ".details-store", "details.json");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_DETAILS_PER_REQUEST = 100;
+const MAX_DETAIL_LENGTH = 2000; // Characters per name or note
+const DISCARD_WINDOW = 60 * 60; // Seconds after saving during which the saver may discard
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const ERROR_STATUS = { INVALID_ARGUMENT: 400, UNAUTHORIZED: 401, FORBIDDEN: 403 };
+
+/**
+ * Details keyed by commitment, each encrypted with AES-256-GCM under its own IV.
+ * The commitment is the additional authenticated data, so an entry can't be moved
+ * to another key without failing to decrypt. Who saved an entry, and when, is kept
+ * in the clear next to it.
+ */
+class EncryptedFileStore {
+  constructor(file, key) {
+    this.file = file;
+    this.key = key;
+    this.entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  }
+
+  get(commitment) {
+    const entry = this.entries[commitment];
+    if (!entry) return null;
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", this.key, Buffer.from(entry.iv, "base64"));
+    decipher.setAAD(Buffer.from(commitment));
+    decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(entry.data, "base64")), decipher.final()]);
+    return JSON.parse(plaintext.toString("utf8"));
+  }
+
+  // { savedBy, savedAt } of an entry, or null
+  info(commitment) {
+    const entry = this.entries[commitment];
+    return entry ? { savedBy: entry.savedBy, savedAt: entry.savedAt } : null;
+  }
+
+  put(commitment, { value, salt }, savedBy) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this.key, iv);
+    cipher.setAAD(Buffer.from(commitment));
+    const data = Buffer.concat([cipher.update(JSON.stringify({ value, salt }), "utf8"), cipher.final()]);
+    this.entries[commitment] = {
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+      savedBy,
+      savedAt: Math.floor(Date.now() / 1000),
+    };
+  }
+
+  delete(commitment) {
+    const existed = Object.prototype.hasOwnProperty.call(this.entries, commitment);
+    delete this.entries[commitment];
+    return existed;
+  }
+
+  // Written to a temporary file first so a crash never leaves a truncated store
+  flush() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.entries, null, 2) + "\n", { mode: 0o600 });
+    fs.renameSync(temporary, this.file);
+  }
+}
+
+// DETAILS_STORE_KEY, or a key file created next to the data file on first run
+function loadKey(file) {
+  if (process.env.DETAILS_STORE_KEY) {
+    const key = Buffer.from(process.env.DETAILS_STORE_KEY, "hex");
+    if (key.length !== 32) throw new Error("DETAILS_STORE_KEY must be 64 hex characters (32 bytes)");
+    return key;
+  }
+
+  const keyFile = path.join(path.dirname(file), "key");
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString("hex") + "\n", { mode: 0o600 });
+    console.log("🔑 Created a new store key in", keyFile);
+  }
+  return Buffer.from(fs.readFileSync(keyFile, "utf8").trim(), "hex");
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body is too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * The store's HTTP server for one deployment. Not listening yet.
+ * @param {{ client: import("../lib/privacy-training-client.mjs").PrivacyTrainingClient,
+ *           store: EncryptedFileStore, chainId: number }} options
+ */
+async function createDetailsServer({ client, store, chainId }) {
+  const { PrivacyTrainingClient } = await import("../lib/privacy-training-client.mjs");
+  const { NO_DETAIL, MAX_RESOLVE_BATCH, RecordDetailsError, verifyDetail, verifySession } =
+    await import("../lib/record-details.mjs");
+
+  const authenticate = (session) => verifySession(session, { contractAddress: client.address, chainId });
+
+  const routes = {
+    "/details": async ({ session, details }) => {
+      const account = authenticate(session);
+      if (!PrivacyTrainingClient.canManageRecords(await client.getRole(account))) {
+        throw new RecordDetailsError("FORBIDDEN", "Only trainers and the admin can save record details");
+      }
+      if (!Array.isArray(details) || details.length === 0 || details.length > MAX_DETAILS_PER_REQUEST) {
+        throw new RecordDetailsError("INVALID_ARGUMENT", `details must hold 1 to ${MAX_DETAILS_PER_REQUEST} entries`);
+      }
+      details.forEach((detail, i) => {
+        if (!detail || typeof detail.value !== "string" || detail.value === "" || detail.value.length > MAX_DETAIL_LENGTH) {
+          throw new RecordDetailsError("INVALID_ARGUMENT", `details[${i}].value must be 1 to ${MAX_DETAIL_LENGTH} characters`);
+        }
+        if (typeof detail.commitment !== "string" || !verifyDetail(detail, detail.commitment)) {
+          throw new RecordDetailsError("INVALID_ARGUMENT", `details[${i}] does not match its commitment`);
+        }
+      });
+
+      // A commitment binds its value, so an entry saved again is unchanged; keep who first saved it
+      details.forEach(({ value, salt, commitment }) => {
+        if (!store.info(commitment.toLowerCase())) store.put(commitment.toLowerCase(), { value, salt }, account);
+      });
+      store.flush();
+      return { saved: details.length };
+    },
+
+    "/resolve": async ({ session, recordIds }) => {
+      const account = authenticate(session);
+      if (
+        !Array.isArray(recordIds) ||
+        recordIds.length > MAX_RESOLVE_BATCH ||
+        !recordIds.every((id) => Number.isSafeInteger(id) && id >= 0)
+      ) {
+        throw new RecordDetailsError("INVALID_ARGUMENT", `recordIds must hold up to ${MAX_RESOLVE_BATCH} record IDs`);
+      }
+
+      // The contract's own access check decides, by reading each record as the caller
+      const records = await Promise.all(recordIds.map((id) => client.getRecordAs(id, account)));
+      const details = {};
+      const denied = [];
+      records.forEach((record, i) => {
+        if (!record) {
+          denied.push(recordIds[i]);
+          return;
+        }
+        const entry = {};
+        const name = store.get(record.nameCommitment);
+        if (name) entry.employeeName = name;
+        if (record.notesCommitment !== NO_DETAIL) {
+          const notes = store.get(record.notesCommitment);
+          if (notes) entry.notes = notes;
+        }
+        details[recordIds[i]] = entry;
+      });
+      return { details, denied };
+    },
+
+    "/erase": async ({ session, recordId }) => {
+      const account = authenticate(session);
+      if (account !== (await client.getAdmin())) {
+        throw new RecordDetailsError("FORBIDDEN", "Only the admin can erase record details");
+      }
+      if (!Number.isSafeInteger(recordId) || recordId < 0) {
+        throw new RecordDetailsError("INVALID_ARGUMENT", "recordId must be a record ID");
+      }
+
+      // A record ID past the end reads back as all zeros, so no name commitment means no record
+      const record = await client.getRecordAs(recordId, account);
+      if (!record || record.nameCommitment === NO_DETAIL) {
+        throw new RecordDetailsError("INVALID_ARGUMENT", `Record ${recordId} does not exist`);
+      }
+      let erased = 0;
+      [record.nameCommitment, record.notesCommitment].forEach((commitment) => {
+        if (commitment !== NO_DETAIL && store.delete(commitment)) erased++;
+      });
+      store.flush();
+      return { erased };
+    },
+
+    "/discard": async ({ session, commitments }) => {
+      const account = authenticate(session);
+      if (
+        !Array.isArray(commitments) ||
+        commitments.length > MAX_DETAILS_PER_REQUEST ||
+        !commitments.every((commitment) => typeof commitment === "string")
+      ) {
+        throw new RecordDetailsError("INVALID_ARGUMENT", `commitments must hold up to ${MAX_DETAILS_PER_REQUEST} commitments`);
+      }
+
+      // The store can't tell whether a commitment made it on chain, so only its saver may
+      // discard it, and only shortly after saving, while the transaction is being sent
+      const now = Math.floor(Date.now() / 1000);
+      let discarded = 0;
+      commitments.forEach((commitment) => {
+        const info = store.info(commitment.toLowerCase());
+        if (!info) return;
+        if (info.savedBy !== account || now - info.savedAt > DISCARD_WINDOW) {
+          throw new RecordDetailsError("FORBIDDEN", "Only recently saved details can be discarded, by the account that saved them");
+        }
+      });
+      commitments.forEach((commitment) => {
+        if (store.delete(commitment.toLowerCase())) discarded++;
+      });
+      store.flush();
+      return { discarded };
+    },
+  };
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const handler = routes[req.url];
+    if (!handler || req.method !== "POST") {
+      sendJson(res, 404, { error: `Unknown endpoint ${req.method} ${req.url}` });
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
+
+    try {
+      sendJson(res, 200, await handler(body));
+    } catch (error) {
+      const status = ERROR_STATUS[error.code] || 500;
+      if (status === 500) console.error(`⚠️  ${req.url} failed:`, error.message);
+      sendJson(res, status, { error: error.message, code: error.code });
+    }
+  });
+}
+
+async function main() {
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const manifestPath = path.join(__dirname, "..", "deployment.json");
+  const deployment = fs.existsSync(manifestPath)
+    ? getDeployment(parseManifest(fs.readFileSync(manifestPath, "utf8")), chainId)
+    : null;
+  if (!deployment) {
+    console.error(`❌ deployment.json has no deployment for chain ${chainId}. Run scripts/deploy.js first.`);
+    process.exit(1);
+  }
+
+  const { PrivacyTrainingClient } = await import("../lib/privacy-training-client.mjs");
+  const client = new PrivacyTrainingClient(deployment.contractAddress, hre.ethers.provider);
+  const file = path.resolve(process.env.DETAILS_STORE_FILE || DEFAULT_FILE);
+  const store = new EncryptedFileStore(file, loadKey(file));
+
+  const server = await createDetailsServer({ client, store, chainId });
+  server.listen(PORT, () => {
+    console.log(`🗄️  Details store listening on http://localhost:${PORT}`);
+    console.log("   Contract:", deployment.contractAddress, `(chain ${chainId})`);
+    console.log("   Data file:", file);
+  });
+
+  // Keep the process alive until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  server.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Details store failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { EncryptedFileStore, createDetailsServer, loadKey };
@@ -0,0 +1,131 @@
+/**
+ * Privacy Training Record - Mock Relayer
+ *
+ * Local stand-in for the Zama relayer/KMS so the dashboard can encrypt training
+ * outcomes and user-decrypt completion and certification status and scores
+ * against a Hardhat node.
+ * Decryption goes through the FHEVM Hardhat plugin's mock KMS, which enforces
+ * the same EIP-712 signature and ACL checks as the real relayer.
+ *
+ * Usage:
+ *   npx hardhat node
+ *   npx hardhat run scripts/mock-relayer.js --network localhost
+ *
+ * Endpoints (JSON, CORS enabled):
+ *   POST /keypair       -> { publicKey, privateKey }
+ *   POST /eip712        { publicKey, contractAddresses, startTimestamp, durationDays }
+ *   POST /user-decrypt  { handleContractPairs, privateKey, publicKey, signature,
+ *                         contractAddresses, userAddress, startTimestamp, durationDays }
+ *   POST /encrypt-input { contractAddress, userAddress, values: [{ type: "bool" | "uint64", value }] }
+ *                       -> { handles, inputProof } as hex strings
+ */
+
+const hre = require("hardhat");
+const http = require("http");
+
+const PORT = Number(process.env.MOCK_RELAYER_PORT || 4000);
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  // Decrypted integers come back as bigint
+  res.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const routes = {
+  "/keypair": async () => hre.fhevm.generateKeypair(),
+
+  "/eip712": async ({ publicKey, contractAddresses, startTimestamp, durationDays }) =>
+    hre.fhevm.createEIP712(publicKey, contractAddresses, startTimestamp, durationDays),
+
+  "/user-decrypt": async (body) =>
+    hre.fhevm.userDecrypt(
+      body.handleContractPairs,
+      body.privateKey,
+      body.publicKey,
+      body.signature,
+      body.contractAddresses,
+      body.userAddress,
+      body.startTimestamp,
+      body.durationDays
+    ),
+
+  "/encrypt-input": async ({ contractAddress, userAddress, values }) => {
+    const input = hre.fhevm.createEncryptedInput(contractAddress, userAddress);
+    values.forEach(({ type, value }) => {
+      if (type === "bool") input.addBool(Boolean(value));
+      else if (type === "uint64") input.add64(BigInt(value));
+      else throw new Error(`Unsupported input type: ${type}`);
+    });
+    const { handles, inputProof } = await input.encrypt();
+    return { handles: handles.map((handle) => hre.ethers.hexlify(handle)), inputProof: hre.ethers.hexlify(inputProof) };
+  },
+};
+
+async function main() {
+  if (!hre.fhevm || !hre.fhevm.isMock) {
+    console.error("❌ The mock relayer only runs against a local FHEVM mock network (hardhat/localhost).");
+    process.exit(1);
+  }
+
+  await hre.fhevm.initializeCLIApi();
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const handler = routes[req.url];
+    if (!handler || req.method !== "POST") {
+      sendJson(res, 404, { error: `Unknown endpoint ${req.method} ${req.url}` });
+      return;
+    }
+
+    try {
+      const body = await readJson(req);
+      sendJson(res, 200, await handler(body));
+    } catch (error) {
+      console.error(`⚠️  ${req.url} failed:`, error.message);
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`🔐 Mock relayer listening on http://localhost:${PORT}`);
+    console.log("   Network:", hre.network.name);
+  });
+
+  // Keep the process alive until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  server.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Mock relayer failed:");
+    console.error(error);
+    process.exit(1);
+  });
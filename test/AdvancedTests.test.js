@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { commit, completeTraining, decryptScore } = require("./helpers");
 
 /**
  * @title Advanced FHEVM Tests - Complex Scenarios
@@ -27,7 +28,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
         const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
         contract = await PrivacyTrainingRecord.deploy();
-        await contract.deployed();
+        await contract.waitForDeployment();
     });
 
     /**
@@ -46,13 +47,13 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
         it("Different trainers can create records for same employee", async function () {
             await contract.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Doe",
+                commit("John Doe"),
                 "data-privacy"
             );
 
             await contract.connect(trainer2).createTrainingRecord(
                 employee1.address,
-                "John Doe",
+                commit("John Doe"),
                 "gdpr-compliance"
             );
 
@@ -64,29 +65,29 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             // Trainer1 creates record
             await contract.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Doe",
+                commit("John Doe"),
                 "data-privacy"
             );
 
             // Trainer2 completes it (both are authorized)
             await expect(
-                contract.connect(trainer2).completeTraining(0, true, true, 85, "Good work")
+                completeTraining(contract, trainer2, 0, true, true, 85, commit("Good work"))
             ).to.not.be.reverted;
         });
 
         it("Maintains separate training histories per employee", async function () {
             // Create records for multiple employees across multiple trainers
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Employee 1", "data-privacy"
+                employee1.address, commit("Employee 1"), "data-privacy"
             );
             await contract.connect(trainer1).createTrainingRecord(
-                employee2.address, "Employee 2", "data-privacy"
+                employee2.address, commit("Employee 2"), "data-privacy"
             );
             await contract.connect(trainer2).createTrainingRecord(
-                employee1.address, "Employee 1", "gdpr-compliance"
+                employee1.address, commit("Employee 1"), "gdpr-compliance"
             );
             await contract.connect(trainer2).createTrainingRecord(
-                employee3.address, "Employee 3", "security-awareness"
+                employee3.address, commit("Employee 3"), "security-awareness"
             );
 
             const employee1Records = await contract.getEmployeeTrainingStatus(employee1.address);
@@ -102,7 +103,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             // Create record
             await contract.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Doe",
+                commit("John Doe"),
                 "data-privacy"
             );
 
@@ -121,7 +122,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "John Doe",
+                    commit("John Doe"),
                     "data-privacy"
                 )
             ).to.be.revertedWith("Not authorized trainer");
@@ -134,7 +135,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.connect(admin).createTrainingRecord(
                     employee1.address,
-                    "John Doe",
+                    commit("John Doe"),
                     "data-privacy"
                 )
             ).to.not.be.reverted;
@@ -152,15 +153,15 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
             // Create records for both employees
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Employee 1", "data-privacy"
+                employee1.address, commit("Employee 1"), "data-privacy"
             );
             await contract.connect(trainer1).createTrainingRecord(
-                employee2.address, "Employee 2", "data-privacy"
+                employee2.address, commit("Employee 2"), "data-privacy"
             );
 
             // Complete both
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "Good");
-            await contract.connect(trainer1).completeTraining(1, true, true, 90, "Excellent");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("Good"));
+            await completeTraining(contract, trainer1, 1, true, true, 90, commit("Excellent"));
 
             // Employee1 can access their own encrypted data
             await expect(
@@ -187,14 +188,14 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             await contract.connect(admin).authorizeTrainer(trainer1.address);
 
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Employee 1", "data-privacy"
+                employee1.address, commit("Employee 1"), "data-privacy"
             );
             await contract.connect(trainer1).createTrainingRecord(
-                employee2.address, "Employee 2", "data-privacy"
+                employee2.address, commit("Employee 2"), "data-privacy"
             );
 
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "Good");
-            await contract.connect(trainer1).completeTraining(1, true, true, 90, "Excellent");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("Good"));
+            await completeTraining(contract, trainer1, 1, true, true, 90, commit("Excellent"));
 
             // Admin can access all encrypted data
             await expect(
@@ -210,10 +211,10 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             await contract.connect(admin).authorizeTrainer(trainer1.address);
 
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Employee 1", "data-privacy"
+                employee1.address, commit("Employee 1"), "data-privacy"
             );
 
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "Good");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("Good"));
 
             // Trainer can access encrypted completion
             await expect(
@@ -239,28 +240,26 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
         it("Can handle maximum score (100)", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
             await expect(
-                contract.connect(trainer1).completeTraining(0, true, true, 100, "Perfect score")
+                completeTraining(contract, trainer1, 0, true, true, 100, commit("Perfect score"))
             ).to.not.be.reverted;
 
-            const record = await contract.connect(employee1).getTrainingRecord(0);
-            expect(record.score).to.equal(100);
+            expect(await decryptScore(contract, 0, employee1)).to.equal(100n);
         });
 
         it("Can handle minimum score (0)", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
             await expect(
-                contract.connect(trainer1).completeTraining(0, false, false, 0, "Failed")
+                completeTraining(contract, trainer1, 0, false, false, 0, commit("Failed"))
             ).to.not.be.reverted;
 
-            const record = await contract.connect(employee1).getTrainingRecord(0);
-            expect(record.score).to.equal(0);
+            expect(await decryptScore(contract, 0, employee1)).to.equal(0n);
         });
 
         it("Can handle very long employee names", async function () {
@@ -269,28 +268,28 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    longName,
+                    commit(longName),
                     "data-privacy"
                 )
             ).to.not.be.reverted;
 
             const record = await contract.connect(employee1).getTrainingRecord(0);
-            expect(record.employeeName).to.equal(longName);
+            expect(record.nameCommitment).to.equal(commit(longName));
         });
 
         it("Can handle very long notes", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
             const longNotes = "This is a very detailed note. ".repeat(50);
 
             await expect(
-                contract.connect(trainer1).completeTraining(0, true, true, 85, longNotes)
+                completeTraining(contract, trainer1, 0, true, true, 85, commit(longNotes))
             ).to.not.be.reverted;
 
             const record = await contract.connect(employee1).getTrainingRecord(0);
-            expect(record.notes).to.equal(longNotes);
+            expect(record.notesCommitment).to.equal(commit(longNotes));
         });
 
         it("Can create many records for single employee", async function () {
@@ -299,7 +298,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             for (let i = 0; i < numberOfRecords; i++) {
                 await contract.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    `Employee ${i}`,
+                    commit(`Employee ${i}`),
                     "data-privacy"
                 );
             }
@@ -314,7 +313,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             for (let i = 0; i < count; i++) {
                 await contract.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "Test",
+                    commit("Test"),
                     "data-privacy"
                 );
             }
@@ -336,24 +335,23 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
         it("Completing training multiple times updates state correctly", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
             // Complete first time
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "First");
-            let record = await contract.connect(employee1).getTrainingRecord(0);
-            expect(record.score).to.equal(85);
-
-            // Complete second time (update)
-            await contract.connect(trainer1).completeTraining(0, true, true, 95, "Second");
-            record = await contract.connect(employee1).getTrainingRecord(0);
-            expect(record.score).to.equal(95);
-            expect(record.notes).to.equal("Second");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("First"));
+            expect(await decryptScore(contract, 0, employee1)).to.equal(85n);
+
+            // Complete second time (update): a new handle, re-granted to the employee
+            await completeTraining(contract, trainer1, 0, true, true, 95, commit("Second"));
+            const record = await contract.connect(employee1).getTrainingRecord(0);
+            expect(await decryptScore(contract, 0, employee1)).to.equal(95n);
+            expect(record.notesCommitment).to.equal(commit("Second"));
         });
 
         it("Module addition does not affect existing records", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
             const recordBefore = await contract.connect(employee1).getTrainingRecord(0);
@@ -374,7 +372,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
         it("Trainer authorization changes do not affect record ownership", async function () {
             // Create record
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
             // Remove trainer authorization
@@ -408,7 +406,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             // Can create records again
             await expect(
                 contract.connect(trainer1).createTrainingRecord(
-                    employee1.address, "Test", "data-privacy"
+                    employee1.address, commit("Test"), "data-privacy"
                 )
             ).to.not.be.reverted;
         });
@@ -445,7 +443,7 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
                 for (const module of modules) {
                     await contract.connect(trainer1).createTrainingRecord(
                         employee.address,
-                        `Employee ${employee.address.slice(-4)}`,
+                        commit(`Employee ${employee.address.slice(-4)}`),
                         module
                     );
                 }
@@ -458,12 +456,14 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
                     const trainer = j % 2 === 0 ? trainer1 : trainer2;
                     const score = 70 + Math.floor(Math.random() * 30);
 
-                    await contract.connect(trainer).completeTraining(
+                    await completeTraining(
+                        contract,
+                        trainer,
                         recordId++,
                         true,
                         score >= 80,
                         score,
-                        `Completed by trainer ${trainer.address.slice(-4)}`
+                        commit(`Completed by trainer ${trainer.address.slice(-4)}`)
                     );
                 }
             }
@@ -489,15 +489,15 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
             for (let i = 0; i < 5; i++) {
                 await contract.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "Test Employee",
+                    commit("Test Employee"),
                     "data-privacy"
                 );
             }
 
             // Complete only some of them
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "Done");
-            await contract.connect(trainer1).completeTraining(2, true, true, 90, "Done");
-            await contract.connect(trainer1).completeTraining(4, true, false, 75, "Done");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("Done"));
+            await completeTraining(contract, trainer1, 2, true, true, 90, commit("Done"));
+            await completeTraining(contract, trainer1, 4, true, false, 75, commit("Done"));
 
             // Verify: Records 0, 2, 4 are completed
             const record0 = await contract.connect(employee1).getTrainingRecord(0);
@@ -522,10 +522,10 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
         it("Encrypted data persists across multiple reads", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "Good");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("Good"));
 
             // Read encrypted data multiple times
             const read1 = await contract.connect(employee1).getEncryptedCompletion(0);
@@ -540,10 +540,10 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
         it("Both completion and certification are independently encrypted", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
-            await contract.connect(trainer1).completeTraining(0, true, false, 70, "Passed but not certified");
+            await completeTraining(contract, trainer1, 0, true, false, 70, commit("Passed but not certified"));
 
             const completion = await contract.connect(employee1).getEncryptedCompletion(0);
             const certification = await contract.connect(employee1).getEncryptedCertification(0);
@@ -555,15 +555,15 @@ describe("Advanced FHEVM Tests - Privacy Training", function () {
 
         it("Encrypted values remain accessible after state changes", async function () {
             await contract.connect(trainer1).createTrainingRecord(
-                employee1.address, "Test", "data-privacy"
+                employee1.address, commit("Test"), "data-privacy"
             );
 
-            await contract.connect(trainer1).completeTraining(0, true, true, 85, "First");
+            await completeTraining(contract, trainer1, 0, true, true, 85, commit("First"));
 
             const encrypted1 = await contract.connect(employee1).getEncryptedCompletion(0);
 
             // Update the record
-            await contract.connect(trainer1).completeTraining(0, true, true, 95, "Updated");
+            await completeTraining(contract, trainer1, 0, true, true, 95, commit("Updated"));
 
             const encrypted2 = await contract.connect(employee1).getEncryptedCompletion(0);
 
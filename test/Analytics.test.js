@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const {
+    completionRateByModule,
+    scoreDistribution,
+    timeToComplete,
+    expiriesPerMonth,
+    trainerThroughput
+} = require("../lib/analytics");
+
+/**
+ * @title Analytics Tests
+ * @notice Covers the aggregations behind the web app's analytics view.
+ * No contract deployment needed.
+ */
+describe("Analytics", function () {
+
+    const DAY = 86400;
+    const NOW = Date.UTC(2026, 0, 15) / 1000; // 2026-01-15
+    const TRAINER_A = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const TRAINER_B = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+    const MODULES = [
+        { id: "data-privacy", name: "Data Privacy Fundamentals" },
+        { id: "gdpr-compliance", name: "GDPR Compliance" },
+        { id: "incident-response", name: "Incident Response" }
+    ];
+
+    function record(id, fields) {
+        return {
+            id,
+            trainingModule: "data-privacy",
+            completionTime: 0,
+            expiryTime: 0,
+            score: 0,
+            trainer: TRAINER_A,
+            ...fields
+        };
+    }
+
+    const RECORDS = [
+        record(0, { completionTime: NOW - 10 * DAY, expiryTime: NOW + 20 * DAY, score: 95 }),
+        record(1, { completionTime: NOW - 5 * DAY, expiryTime: NOW + 40 * DAY, score: 100, trainer: TRAINER_B }),
+        record(2, {}),
+        record(3, { trainingModule: "gdpr-compliance", completionTime: NOW - 2 * DAY, expiryTime: NOW - DAY, score: 42 }),
+        record(4, { trainingModule: "retired-module" })
+    ];
+
+    it("Should compute completion rate per module in catalog order", function () {
+        const rows = completionRateByModule(RECORDS, MODULES);
+
+        expect(rows.map(row => row.moduleId)).to.deep.equal(["data-privacy", "gdpr-compliance", "incident-response", "retired-module"]);
+        expect(rows[0]).to.include({ total: 3, completed: 2 });
+        expect(rows[0].rate).to.be.closeTo(2 / 3, 1e-9);
+        expect(rows[1].rate).to.equal(1);
+        expect(rows[2]).to.include({ total: 0, rate: 0 });
+        expect(rows[3]).to.include({ label: "retired-module", total: 1, completed: 0 });
+    });
+
+    it("Should bucket scores of completed records only, with 100 in the top bucket", function () {
+        const buckets = scoreDistribution(RECORDS);
+
+        expect(buckets).to.have.length(10);
+        expect(buckets[9]).to.include({ label: "90-100", count: 2 });
+        expect(buckets[4]).to.include({ label: "40-49", count: 1 });
+        expect(buckets.reduce((sum, bucket) => sum + bucket.count, 0)).to.equal(3);
+    });
+
+    it("Should measure time to complete from enrollment and report the median", function () {
+        const enrolledAt = new Map([
+            [0, NOW - 12 * DAY], // 2 days
+            [1, NOW - 45 * DAY], // 40 days
+            [3, NOW - 2.5 * DAY] // half a day
+        ]);
+        const { buckets, medianDays, sampleSize } = timeToComplete(RECORDS, enrolledAt);
+
+        expect(sampleSize).to.equal(3);
+        expect(medianDays).to.be.closeTo(2, 1e-9);
+        expect(buckets.find(b => b.label === "< 1 day").count).to.equal(1);
+        expect(buckets.find(b => b.label === "1-3 days").count).to.equal(1);
+        expect(buckets.find(b => b.label === "> 30 days").count).to.equal(1);
+    });
+
+    it("Should skip records without a known enrollment time", function () {
+        const { sampleSize, medianDays } = timeToComplete(RECORDS, new Map());
+        expect(sampleSize).to.equal(0);
+        expect(medianDays).to.be.null;
+    });
+
+    it("Should count upcoming expiries per calendar month and ignore past ones", function () {
+        const months = expiriesPerMonth(RECORDS, NOW);
+
+        expect(months).to.have.length(12);
+        expect(months[0]).to.deep.equal({ label: "2026-01", count: 0 });
+        expect(months[1]).to.deep.equal({ label: "2026-02", count: 2 }); // NOW + 20 and + 40 days
+        expect(months[2]).to.deep.equal({ label: "2026-03", count: 0 });
+        expect(months[11].label).to.equal("2026-12");
+        expect(months.reduce((sum, month) => sum + month.count, 0)).to.equal(2);
+    });
+
+    it("Should ignore expiries beyond the window", function () {
+        const farOut = [record(9, { completionTime: NOW, expiryTime: NOW + 400 * DAY })];
+        expect(expiriesPerMonth(farOut, NOW).every(month => month.count === 0)).to.be.true;
+    });
+
+    it("Should rank trainers by completed records", function () {
+        expect(trainerThroughput(RECORDS)).to.deep.equal([
+            { trainer: TRAINER_A.toLowerCase(), completed: 2 },
+            { trainer: TRAINER_B.toLowerCase(), completed: 1 }
+        ]);
+    });
+});
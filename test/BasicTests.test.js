@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { commit, completeTraining, decryptScore } = require("./helpers");
 
 /**
  * @title Basic FHEVM Tests - Getting Started
@@ -23,7 +24,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
 
         const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
         contract = await PrivacyTrainingRecord.deploy();
-        await contract.deployed();
+        await contract.waitForDeployment();
     });
 
     /**
@@ -33,7 +34,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
     describe("Test 1: Contract Deployment", function () {
 
         it("Contract deploys successfully", async function () {
-            expect(contract.address).to.be.properAddress;
+            expect(await contract.getAddress()).to.be.properAddress;
         });
 
         it("Owner is set correctly", async function () {
@@ -57,7 +58,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             // Create record with encrypted completion status
             const tx = await contract.createTrainingRecord(
                 employee.address,
-                "Test Employee",
+                commit("Test Employee"),
                 "data-privacy"
             );
 
@@ -73,18 +74,18 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.createTrainingRecord(
                     employee.address,
-                    "Test Employee",
+                    commit("Test Employee"),
                     "data-privacy"
                 )
             )
                 .to.emit(contract, "TrainingRecordCreated")
-                .withArgs(0, employee.address, "data-privacy");
+                .withArgs(0, employee.address, "data-privacy", owner.address);
         });
 
         it("Stores employee address correctly", async function () {
             await contract.createTrainingRecord(
                 employee.address,
-                "Test Employee",
+                commit("Test Employee"),
                 "data-privacy"
             );
 
@@ -104,7 +105,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.createTrainingRecord(
                     employee.address,
-                    "Test Employee",
+                    commit("Test Employee"),
                     "data-privacy"
                 )
             ).to.not.be.reverted;
@@ -113,7 +114,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.connect(employee).createTrainingRecord(
                     employee.address,
-                    "Test Employee",
+                    commit("Test Employee"),
                     "data-privacy"
                 )
             ).to.be.revertedWith("Not authorized trainer");
@@ -123,7 +124,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             // Create record
             await contract.createTrainingRecord(
                 employee.address,
-                "Test Employee",
+                commit("Test Employee"),
                 "data-privacy"
             );
 
@@ -139,7 +140,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             // Create record for employee1
             await contract.createTrainingRecord(
                 employee1.address,
-                "Employee One",
+                commit("Employee One"),
                 "data-privacy"
             );
 
@@ -160,7 +161,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             // Create a training record
             await contract.createTrainingRecord(
                 employee.address,
-                "Test Employee",
+                commit("Test Employee"),
                 "data-privacy"
             );
         });
@@ -197,44 +198,47 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
         beforeEach(async function () {
             await contract.createTrainingRecord(
                 employee.address,
-                "Test Employee",
+                commit("Test Employee"),
                 "data-privacy"
             );
         });
 
         it("Can mark training as completed", async function () {
-            const tx = await contract.completeTraining(
+            const tx = await completeTraining(
+                contract,
+                owner,
                 0,              // record ID
                 true,           // completed
                 true,           // certified
                 85,             // score
-                "Good work"     // notes
+                commit("Good work")     // notes
             );
 
             await expect(tx)
                 .to.emit(contract, "TrainingCompleted")
-                .withArgs(0, employee.address, true);
+                .withArgs(0, employee.address, owner.address);
         });
 
         it("Completion updates the timestamp", async function () {
-            await contract.completeTraining(0, true, true, 85, "Good work");
+            await completeTraining(contract, owner, 0, true, true, 85, commit("Good work"));
 
             const record = await contract.connect(employee).getTrainingRecord(0);
             expect(record.completionTime).to.be.gt(0);
         });
 
-        it("Score is stored correctly", async function () {
-            await contract.completeTraining(0, true, true, 92, "Excellent");
+        it("Score is stored encrypted", async function () {
+            await completeTraining(contract, owner, 0, true, true, 92, commit("Excellent"));
 
             const record = await contract.connect(employee).getTrainingRecord(0);
-            expect(record.score).to.equal(92);
+            expect(record.score).to.be.undefined;
+            expect(await decryptScore(contract, 0, employee)).to.equal(92n);
         });
 
         it("Notes are stored correctly", async function () {
-            await contract.completeTraining(0, true, true, 85, "Very good understanding");
+            await completeTraining(contract, owner, 0, true, true, 85, commit("Very good understanding"));
 
             const record = await contract.connect(employee).getTrainingRecord(0);
-            expect(record.notes).to.equal("Very good understanding");
+            expect(record.notesCommitment).to.equal(commit("Very good understanding"));
         });
     });
 
@@ -289,7 +293,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.connect(trainer).createTrainingRecord(
                     employee.address,
-                    "Test Employee",
+                    commit("Test Employee"),
                     "data-privacy"
                 )
             ).to.not.be.reverted;
@@ -313,7 +317,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             await expect(
                 contract.connect(trainer).createTrainingRecord(
                     employee.address,
-                    "Test Employee",
+                    commit("Test Employee"),
                     "data-privacy"
                 )
             ).to.be.revertedWith("Not authorized trainer");
@@ -328,9 +332,9 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
 
         it("Employee can have multiple training records", async function () {
             // Create 3 different training records
-            await contract.createTrainingRecord(employee.address, "Test", "data-privacy");
-            await contract.createTrainingRecord(employee.address, "Test", "gdpr-compliance");
-            await contract.createTrainingRecord(employee.address, "Test", "security-awareness");
+            await contract.createTrainingRecord(employee.address, commit("Test"), "data-privacy");
+            await contract.createTrainingRecord(employee.address, commit("Test"), "gdpr-compliance");
+            await contract.createTrainingRecord(employee.address, commit("Test"), "security-awareness");
 
             const records = await contract.getEmployeeTrainingStatus(employee.address);
             expect(records.length).to.equal(3);
@@ -342,8 +346,8 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
         });
 
         it("Each record has unique ID", async function () {
-            await contract.createTrainingRecord(employee.address, "Test", "data-privacy");
-            await contract.createTrainingRecord(employee.address, "Test", "gdpr-compliance");
+            await contract.createTrainingRecord(employee.address, commit("Test"), "data-privacy");
+            await contract.createTrainingRecord(employee.address, commit("Test"), "gdpr-compliance");
 
             const records = await contract.getEmployeeTrainingStatus(employee.address);
             expect(records[0]).to.equal(0);
@@ -360,7 +364,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
         beforeEach(async function () {
             await contract.createTrainingRecord(
                 employee.address,
-                "Test Employee",
+                commit("Test Employee"),
                 "data-privacy"
             );
         });
@@ -371,7 +375,7 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
         });
 
         it("Completed training sets expiry time", async function () {
-            await contract.completeTraining(0, true, true, 85, "Good");
+            await completeTraining(contract, owner, 0, true, true, 85, commit("Good"));
 
             const record = await contract.connect(employee).getTrainingRecord(0);
             expect(record.expiryTime).to.be.gt(0);
@@ -394,21 +398,21 @@ describe("Basic FHEVM Tests - Privacy Training", function () {
             // Step 1: Create record
             await contract.createTrainingRecord(
                 employee.address,
-                "Alice Johnson",
+                commit("Alice Johnson"),
                 "data-privacy"
             );
 
             // Step 2: Verify creation
             let record = await contract.connect(employee).getTrainingRecord(0);
-            expect(record.employeeName).to.equal("Alice Johnson");
-            expect(record.score).to.equal(0);
+            expect(record.nameCommitment).to.equal(commit("Alice Johnson"));
+            expect(await decryptScore(contract, 0, employee)).to.equal(0n);
 
             // Step 3: Complete training
-            await contract.completeTraining(0, true, true, 90, "Excellent work");
+            await completeTraining(contract, owner, 0, true, true, 90, commit("Excellent work"));
 
             // Step 4: Verify completion
             record = await contract.connect(employee).getTrainingRecord(0);
-            expect(record.score).to.equal(90);
+            expect(await decryptScore(contract, 0, employee)).to.equal(90n);
             expect(record.completionTime).to.be.gt(0);
 
             // Step 5: Check encrypted status exists
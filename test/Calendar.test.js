@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { escapeText, buildCalendar } = require("../lib/calendar");
+
+/**
+ * @title Calendar Export Tests
+ * @notice Checks the iCalendar files the web app exports for recertifications.
+ * No contract deployment needed.
+ */
+describe("Calendar", function () {
+
+    const NOW = Date.UTC(2026, 0, 15, 9, 30) / 1000; // 2026-01-15 09:30 UTC
+    const EXPIRY = Date.UTC(2026, 6, 1, 12) / 1000; // 2026-07-01 12:00 UTC
+
+    function unfold(ics) {
+        return ics.replace(/\r\n /g, "");
+    }
+
+    it("Should wrap events in a VCALENDAR with CRLF line endings", function () {
+        const ics = buildCalendar([], { now: NOW });
+
+        expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).to.be.true;
+        expect(ics.endsWith("END:VCALENDAR\r\n")).to.be.true;
+        expect(ics.replace(/\r\n/g, "")).to.not.include("\n");
+    });
+
+    it("Should list each expiry as an all-day event with a reminder", function () {
+        const ics = buildCalendar([{
+            uid: "record-7@31337.0xabc",
+            date: EXPIRY,
+            summary: "Recertification: GDPR Compliance",
+            description: "Record #7",
+            reminderDays: 14
+        }], { now: NOW, name: "Training recertifications" });
+        const lines = ics.split("\r\n");
+
+        expect(lines).to.include("X-WR-CALNAME:Training recertifications");
+        expect(lines).to.include("UID:record-7@31337.0xabc");
+        expect(lines).to.include("DTSTAMP:20260115T093000Z");
+        expect(lines).to.include("DTSTART;VALUE=DATE:20260701");
+        expect(lines).to.include("DTEND;VALUE=DATE:20260702");
+        expect(lines).to.include("SUMMARY:Recertification: GDPR Compliance");
+        expect(lines).to.include("TRIGGER:-P14D");
+        expect(lines.filter(line => line === "BEGIN:VEVENT")).to.have.length(1);
+    });
+
+    it("Should omit the reminder when none is requested", function () {
+        const ics = buildCalendar([{ uid: "a", date: EXPIRY, summary: "x" }], { now: NOW });
+        expect(ics).to.not.include("VALARM");
+    });
+
+    it("Should escape text so names can't add properties or events", function () {
+        expect(escapeText("a,b;c\\d\ne")).to.equal("a\\,b\\;c\\\\d\\ne");
+
+        const hostile = "Mallory\r\nEND:VEVENT\r\nBEGIN:VEVENT\r\nSUMMARY:Injected";
+        const ics = buildCalendar([{ uid: "a", date: EXPIRY, summary: `Recertification: ${hostile}` }], { now: NOW });
+
+        expect(ics.split("\r\n").filter(line => line === "BEGIN:VEVENT")).to.have.length(1);
+        expect(ics.split("\r\n").filter(line => line.startsWith("SUMMARY:"))).to.have.length(1);
+    });
+
+    it("Should fold long lines at 75 octets without splitting characters", function () {
+        const summary = "Recertification: " + "Données personnelles ".repeat(10);
+        const ics = buildCalendar([{ uid: "a", date: EXPIRY, summary }], { now: NOW });
+
+        ics.split("\r\n").forEach(line => {
+            expect(Buffer.byteLength(line, "utf8")).to.be.at.most(75);
+        });
+        expect(unfold(ics)).to.include(`SUMMARY:${summary}`);
+    });
+});
@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const {
+    SafeHtml,
+    escapeHtml,
+    html,
+    render,
+    emptyState,
+    recordCard,
+    showToast
+} = require("../lib/components");
+
+/**
+ * @title Component Rendering Tests
+ * @notice Feeds hostile on-chain strings through the web app's rendering layer and
+ * checks none of them survive as markup. No contract deployment needed.
+ */
+describe("Components", function () {
+
+    const HOSTILE_PAYLOADS = [
+        "<script>alert(document.cookie)</script>",
+        "<img src=x onerror=alert(1)>",
+        "\"><svg onload=alert(1)>",
+        "' onmouseover='alert(1)",
+        "</span></div><iframe src=\"javascript:alert(1)\"></iframe>",
+        "&lt;script&gt;alert(1)&lt;/script&gt;"
+    ];
+
+    const BASE_RECORD = {
+        id: 7,
+        employee: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        employeeName: "Alice",
+        trainingModule: "data-privacy",
+        completionTime: 1704067200,
+        expiryTime: 1706659200,
+        isActive: true,
+        notes: "Passed first time",
+        detailsStatus: "verified"
+    };
+
+    const CARD_OPTIONS = {
+        moduleName: "Data Privacy Fundamentals",
+        moduleInactive: false,
+        status: { label: "Completed", className: "status-completed" },
+        decrypted: undefined,
+        canComplete: false
+    };
+
+    // Escaped text can't contain "<", so every tag left in the output is one the component wrote
+    function expectNoInjectedMarkup(markup, payload) {
+        expect(markup).to.not.include(payload);
+        (markup.match(/<[^>]*>/g) || []).forEach(tag => {
+            expect(tag).to.match(/^<\/?(div|span|h3|p|strong|em|button|a)\b/);
+            expect(tag.replace(/ onclick="\w+\(\w+\)"/, "")).to.not.match(/\son\w+=/i);
+            if (tag.startsWith("<a ")) expect(tag).to.match(/^<a href="#\/(record|employee|module)\/[^"]*">$/);
+        });
+    }
+
+    describe("html", function () {
+        it("Should escape interpolated strings", function () {
+            const markup = html`<p>${"<b>bold</b> & \"quoted\" 'single'"}</p>`.toString();
+            expect(markup).to.equal("<p>&lt;b&gt;bold&lt;/b&gt; &amp; &quot;quoted&quot; &#39;single&#39;</p>");
+        });
+
+        it("Should keep nested html output and join arrays", function () {
+            const items = ["<a>", "<b>"].map(item => html`<li>${item}</li>`);
+            expect(html`<ul>${items}</ul>`.toString()).to.equal("<ul><li>&lt;a&gt;</li><li>&lt;b&gt;</li></ul>");
+        });
+
+        it("Should render null, undefined and false as nothing", function () {
+            expect(html`[${null}${undefined}${false}]`.toString()).to.equal("[]");
+            expect(html`[${0}]`.toString()).to.equal("[0]");
+        });
+
+        it("Should not treat objects that merely look like SafeHtml as trusted", function () {
+            const forged = { markup: "<script>alert(1)</script>", toString() { return this.markup; } };
+            expect(html`${forged}`.toString()).to.equal("&lt;script&gt;alert(1)&lt;/script&gt;");
+        });
+    });
+
+    describe("render", function () {
+        it("Should refuse plain strings", function () {
+            const element = { innerHTML: "" };
+            expect(() => render(element, "<img src=x onerror=alert(1)>")).to.throw(TypeError);
+            expect(element.innerHTML).to.equal("");
+        });
+
+        it("Should write html output", function () {
+            const element = { innerHTML: "" };
+            render(element, html`<p>${"<i>"}</p>`);
+            expect(element.innerHTML).to.equal("<p>&lt;i&gt;</p>");
+        });
+    });
+
+    describe("recordCard", function () {
+        HOSTILE_PAYLOADS.forEach(payload => {
+            it(`Should escape a hostile employee name and notes: ${payload}`, function () {
+                const record = { ...BASE_RECORD, employeeName: payload, notes: payload };
+                const markup = recordCard(record, CARD_OPTIONS).toString();
+
+                expectNoInjectedMarkup(markup, payload);
+                expect(markup).to.include(escapeHtml(payload));
+            });
+
+            it(`Should escape a hostile module name and address: ${payload}`, function () {
+                const record = { ...BASE_RECORD, employee: payload, trainingModule: payload };
+                const markup = recordCard(record, { ...CARD_OPTIONS, moduleName: payload }).toString();
+
+                expectNoInjectedMarkup(markup, payload);
+            });
+        });
+
+        it("Should say why a name or notes can't be shown", function () {
+            const unavailable = { ...BASE_RECORD, employeeName: null, notes: null, detailsStatus: "unavailable" };
+            expect(recordCard(unavailable, CARD_OPTIONS).toString().match(/Not available/g)).to.have.length(2);
+
+            const mismatch = { ...BASE_RECORD, employeeName: null, detailsStatus: "mismatch" };
+            expect(recordCard(mismatch, CARD_OPTIONS).toString()).to.include("Does not match the on-chain commitment");
+
+            const cached = { ...BASE_RECORD, employeeName: undefined, notes: undefined, detailsStatus: undefined };
+            expect(recordCard(cached, CARD_OPTIONS).toString()).to.include("Loading…");
+
+            const withoutNotes = { ...cached, notesCommitment: "0x" + "0".repeat(64) };
+            expect(recordCard(withoutNotes, CARD_OPTIONS).toString()).to.not.include("Notes:");
+        });
+
+        it("Should never put anything but a number into onclick handlers", function () {
+            const record = { ...BASE_RECORD, id: "1);alert(1", completionTime: 0 };
+            const markup = recordCard(record, { ...CARD_OPTIONS, canComplete: true }).toString();
+
+            expect(markup).to.include("revealRecordStatus(NaN)");
+            expect(markup).to.include("completeTraining(NaN)");
+            expect(markup).to.not.include("alert(1)");
+        });
+
+        it("Should show actions and details according to the options", function () {
+            const pending = recordCard({ ...BASE_RECORD, completionTime: 0, notes: "" }, { ...CARD_OPTIONS, canComplete: true }).toString();
+            expect(pending).to.include("completeTraining(7)");
+            expect(pending).to.include("revealRecordStatus(7)");
+            expect(pending).to.not.include("Score:");
+
+            // Scores are encrypted on chain, so a completed record shows one only once revealed
+            expect(recordCard(BASE_RECORD, CARD_OPTIONS).toString()).to.not.include("Score:");
+
+            const revealed = recordCard(BASE_RECORD, {
+                ...CARD_OPTIONS,
+                moduleInactive: true,
+                decrypted: { completed: true, certified: false, score: 92 }
+            }).toString();
+            expect(revealed).to.include("(inactive module)");
+            expect(revealed).to.include("Not Certified");
+            expect(revealed).to.include("92/100");
+            expect(revealed).to.not.include("revealRecordStatus");
+            expect(revealed).to.not.include("printCertificate");
+        });
+
+        it("Should link to the record, employee and module routes", function () {
+            const markup = recordCard({ ...BASE_RECORD, trainingModule: "gdpr compliance" }, CARD_OPTIONS).toString();
+            expect(markup).to.include('href="#/record/7"');
+            expect(markup).to.include(`href="#/employee/${BASE_RECORD.employee}"`);
+            expect(markup).to.include('href="#/module/gdpr%20compliance"');
+        });
+
+        it("Should offer a certificate only when asked to", function () {
+            const markup = recordCard(BASE_RECORD, {
+                ...CARD_OPTIONS,
+                decrypted: { completed: true, certified: true },
+                canPrintCertificate: true
+            }).toString();
+            expect(markup).to.include("printCertificate(7)");
+        });
+    });
+
+    describe("emptyState", function () {
+        it("Should escape the message", function () {
+            const markup = emptyState("📚", HOSTILE_PAYLOADS[1]).toString();
+            expectNoInjectedMarkup(markup, HOSTILE_PAYLOADS[1]);
+            expect(emptyState("📚", "No records")).to.be.instanceOf(SafeHtml);
+        });
+    });
+
+    describe("showToast", function () {
+        function fakeToast() {
+            const removed = [];
+            return {
+                textContent: "",
+                innerHTML: "",
+                className: "",
+                classList: { remove: name => removed.push(name) },
+                removed
+            };
+        }
+
+        afterEach(function () {
+            // Clear the auto-hide timers so mocha can exit
+            this.toasts.forEach(toast => clearTimeout(toast.hideTimer));
+        });
+
+        beforeEach(function () {
+            this.toasts = [];
+        });
+
+        it("Should set messages as text, never as markup", function () {
+            const toast = fakeToast();
+            this.toasts.push(toast);
+            showToast(toast, HOSTILE_PAYLOADS[0], "error");
+
+            expect(toast.textContent).to.equal(HOSTILE_PAYLOADS[0]);
+            expect(toast.innerHTML).to.equal("");
+            expect(toast.className).to.equal("toast error show");
+        });
+
+        it("Should fall back to the success style for unknown types", function () {
+            const toast = fakeToast();
+            this.toasts.push(toast);
+            showToast(toast, "Saved", "\" onmouseover=\"alert(1)");
+
+            expect(toast.className).to.equal("toast success show");
+        });
+    });
+});
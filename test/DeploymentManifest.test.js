@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const {
+    MANIFEST_VERSION,
+    ManifestError,
+    createManifest,
+    parseManifest,
+    getDeployment,
+    setDeployment,
+    serializeManifest
+} = require("../lib/deployment-manifest");
+
+/**
+ * @title Deployment Manifest Tests
+ * @notice Covers the deployment.json reader/writer shared by the deploy scripts
+ * and the web app. No contract deployment needed.
+ */
+describe("Deployment Manifest", function () {
+
+    const SEPOLIA_DEPLOYMENT = {
+        network: "sepolia",
+        chainId: 11155111,
+        contractName: "PrivacyTrainingRecord",
+        contractAddress: "0xf5288a878Cd8c463BbdbA8F3Df17326fDFEe5ccC",
+        deploymentBlock: 4200000,
+        deployedAt: "2024-01-01T00:00:00.000Z"
+    };
+
+    const LOCAL_DEPLOYMENT = {
+        network: "localhost",
+        chainId: 31337,
+        contractName: "PrivacyTrainingRecord",
+        contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+        deploymentBlock: 1
+    };
+
+    it("Should round-trip deployments for several chains", function () {
+        let manifest = createManifest();
+        manifest = setDeployment(manifest, SEPOLIA_DEPLOYMENT);
+        manifest = setDeployment(manifest, LOCAL_DEPLOYMENT);
+
+        const parsed = parseManifest(serializeManifest(manifest));
+
+        expect(parsed.version).to.equal(MANIFEST_VERSION);
+        expect(getDeployment(parsed, 11155111)).to.deep.equal(SEPOLIA_DEPLOYMENT);
+        expect(getDeployment(parsed, 31337)).to.deep.equal(LOCAL_DEPLOYMENT);
+        expect(getDeployment(parsed, 9000)).to.be.null;
+    });
+
+    it("Should replace an existing deployment for the same chain", function () {
+        const redeployed = { ...LOCAL_DEPLOYMENT, contractAddress: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512", deploymentBlock: 5 };
+        const manifest = setDeployment(setDeployment(createManifest(), LOCAL_DEPLOYMENT), redeployed);
+
+        expect(Object.keys(manifest.deployments)).to.deep.equal(["31337"]);
+        expect(getDeployment(manifest, 31337).deploymentBlock).to.equal(5);
+    });
+
+    it("Should reject text that is not JSON", function () {
+        expect(() => parseManifest("{not json")).to.throw(ManifestError, "not valid JSON");
+    });
+
+    it("Should reject unversioned and legacy manifests", function () {
+        const legacy = { contract: SEPOLIA_DEPLOYMENT.contractAddress, network: "sepolia" };
+        expect(() => parseManifest(legacy)).to.throw(ManifestError, "unsupported version");
+
+        const chainKeyed = { "11155111": SEPOLIA_DEPLOYMENT };
+        expect(() => parseManifest(chainKeyed)).to.throw(ManifestError, "unsupported version");
+    });
+
+    it("Should name the offending field of a malformed deployment", function () {
+        const withBadAddress = {
+            version: MANIFEST_VERSION,
+            deployments: { "11155111": { ...SEPOLIA_DEPLOYMENT, contractAddress: "0x1234" } }
+        };
+        expect(() => parseManifest(withBadAddress)).to.throw(ManifestError, 'deployments["11155111"].contractAddress');
+
+        const withMismatchedKey = {
+            version: MANIFEST_VERSION,
+            deployments: { "9000": SEPOLIA_DEPLOYMENT }
+        };
+        expect(() => parseManifest(withMismatchedKey)).to.throw(ManifestError, "does not match its key");
+
+        const withoutBlock = {
+            version: MANIFEST_VERSION,
+            deployments: { "31337": { ...LOCAL_DEPLOYMENT, deploymentBlock: undefined } }
+        };
+        expect(() => parseManifest(withoutBlock)).to.throw(ManifestError, "deploymentBlock");
+    });
+
+    it("Should accept an http(s) details store URL and reject anything else", function () {
+        const withStore = { ...LOCAL_DEPLOYMENT, detailsStoreUrl: "http://localhost:4100" };
+        expect(getDeployment(setDeployment(createManifest(), withStore), 31337).detailsStoreUrl)
+            .to.equal("http://localhost:4100");
+
+        expect(() => setDeployment(createManifest(), { ...LOCAL_DEPLOYMENT, detailsStoreUrl: "javascript:alert(1)" }))
+            .to.throw(ManifestError, "detailsStoreUrl");
+    });
+
+    it("Should keep the base template's copy identical to lib/", function () {
+        // base-template/ must work on its own once copied, so it carries its own copy
+        const read = file => fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+        expect(read("base-template/lib/deployment-manifest.js")).to.equal(read("lib/deployment-manifest.js"));
+    });
+
+    it("Should refuse to write an invalid deployment", function () {
+        expect(() => setDeployment(createManifest(), { ...LOCAL_DEPLOYMENT, chainId: "31337" }))
+            .to.throw(ManifestError, "chainId");
+    });
+});
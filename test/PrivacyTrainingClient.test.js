@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+/**
+ * @title PrivacyTrainingClient Tests
+ * @notice Exercises lib/privacy-training-client.mjs, the client shared by the web app and
+ * the scripts, against a freshly deployed contract: typed records, pagination, role checks
+ * and typed events.
+ * @dev The client is an ES module, so it is loaded with a dynamic import.
+ */
+describe("PrivacyTrainingClient", function () {
+    let PrivacyTrainingClient, ROLES, createDetail, NO_DETAIL;
+    let admin, trainer, employee, outsider;
+    let address, adminClient, trainerClient, employeeClient;
+
+    before(async function () {
+        ({ PrivacyTrainingClient, ROLES } = await import("../lib/privacy-training-client.mjs"));
+        ({ createDetail, NO_DETAIL } = await import("../lib/record-details.mjs"));
+    });
+
+    beforeEach(async function () {
+        [admin, trainer, employee, outsider] = await ethers.getSigners();
+
+        const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
+        const contract = await PrivacyTrainingRecord.deploy();
+        await contract.waitForDeployment();
+        address = await contract.getAddress();
+
+        adminClient = new PrivacyTrainingClient(address, admin);
+        trainerClient = new PrivacyTrainingClient(address, trainer);
+        employeeClient = new PrivacyTrainingClient(address, employee);
+        await (await adminClient.authorizeTrainer(trainer.address)).wait();
+    });
+
+    async function enroll(count, module = "data-privacy") {
+        const entries = Array.from({ length: count }, (_, i) => ({
+            employee: employee.address,
+            nameCommitment: createDetail(`Employee ${i}`).commitment,
+            trainingModule: module
+        }));
+        return trainerClient.parseReceipt(await (await trainerClient.createTrainingRecordsBatch(entries)).wait());
+    }
+
+    describe("Roles", function () {
+
+        it("Should resolve admin, trainer, employee and public roles", async function () {
+            expect(await adminClient.getRole(admin.address)).to.equal(ROLES.ADMIN);
+            expect(await adminClient.getRole(trainer.address)).to.equal(ROLES.TRAINER);
+            expect(await adminClient.getRole(outsider.address)).to.equal(ROLES.EMPLOYEE);
+            expect(await adminClient.getRole(null)).to.equal(ROLES.PUBLIC);
+        });
+
+        it("Should refuse writes the sender's role can't make before anything is sent", async function () {
+            const before = await ethers.provider.getTransactionCount(employee.address);
+
+            await expect(employeeClient.createTrainingRecord(employee.address, createDetail("Alice").commitment, "data-privacy"))
+                .to.be.rejectedWith("Only admins and authorized trainers");
+            await expect(trainerClient.authorizeTrainer(outsider.address))
+                .to.be.rejectedWith("Only the admin");
+
+            expect(await ethers.provider.getTransactionCount(employee.address)).to.equal(before);
+        });
+
+        it("Should report a would-be revert with its cause", async function () {
+            try {
+                await trainerClient.createTrainingRecord(employee.address, createDetail("Alice").commitment, "no-such-module");
+                expect.fail("Expected a WOULD_REVERT error");
+            } catch (error) {
+                expect(error.code).to.equal("WOULD_REVERT");
+                expect(error.cause).to.exist;
+            }
+        });
+
+        it("Should require a signer for writes", async function () {
+            const readOnly = new PrivacyTrainingClient(address, ethers.provider);
+            await expect(readOnly.grantDecryptionAccess(0)).to.be.rejectedWith("Connect a wallet");
+        });
+    });
+
+    describe("Records", function () {
+
+        it("Should return typed records", async function () {
+            const name = createDetail("Alice");
+            const notes = createDetail("Passed");
+            const [created] = trainerClient.parseReceipt(
+                await (await trainerClient.createTrainingRecord(employee.address, name.commitment, "gdpr-compliance")).wait()
+            );
+            const encrypted = await trainerClient.encryptCompletion(fhevm, { completed: true, certified: true, score: 92 });
+            await (await trainerClient.completeTrainingEncrypted(created.recordId, encrypted, notes.commitment)).wait();
+
+            const record = await employeeClient.getRecord(created.recordId);
+            expect(record).to.include({
+                id: 0,
+                employee: employee.address,
+                nameCommitment: name.commitment,
+                trainingModule: "gdpr-compliance",
+                isActive: true,
+                notesCommitment: notes.commitment
+            });
+            expect(record).to.not.have.property("score");
+            expect(record.completionTime).to.be.a("number").above(0);
+            expect(record.expiryTime).to.be.above(record.completionTime);
+        });
+
+        it("Should read a record as another account, or null if that account may not", async function () {
+            await enroll(1);
+            const readOnly = new PrivacyTrainingClient(address, ethers.provider);
+
+            expect(await readOnly.getRecordAs(0, employee.address)).to.include({ id: 0, employee: employee.address });
+            expect(await readOnly.getRecordAs(0, trainer.address)).to.include({ id: 0 });
+            expect(await readOnly.getRecordAs(0, outsider.address)).to.be.null;
+        });
+
+        it("Should complete from encrypted inputs and return the encrypted handles", async function () {
+            await enroll(1);
+            const encrypted = await trainerClient.encryptCompletion(fhevm, { completed: true, certified: false, score: 77 });
+            await (await trainerClient.completeTrainingEncrypted(0, encrypted, NO_DETAIL)).wait();
+
+            const handles = await employeeClient.getEncryptedStatus(0);
+            expect(await fhevm.userDecryptEbool(handles.completion, address, employee)).to.be.true;
+            expect(await fhevm.userDecryptEbool(handles.certification, address, employee)).to.be.false;
+            expect(await fhevm.userDecryptEuint(FhevmType.euint64, handles.score, address, employee)).to.equal(77n);
+        });
+
+        it("Should page through all records and an employee's records", async function () {
+            await enroll(5);
+
+            const first = await trainerClient.getRecordPage({ offset: 0, limit: 2 });
+            expect(first.records.map(record => record.id)).to.deep.equal([0, 1]);
+            expect(first).to.include({ total: 5, nextOffset: 2 });
+
+            const last = await trainerClient.getRecordPage({ offset: 4, limit: 2 });
+            expect(last.records.map(record => record.id)).to.deep.equal([4]);
+            expect(last.nextOffset).to.be.null;
+
+            const own = await employeeClient.getEmployeeRecordPage(employee.address, { offset: 3, limit: 10 });
+            expect(own.records.map(record => record.id)).to.deep.equal([3, 4]);
+            expect(own.total).to.equal(5);
+        });
+
+        it("Should read pages longer than the contract's page size in several calls", async function () {
+            await enroll(25);
+            await enroll(25);
+            await enroll(5);
+
+            const page = await trainerClient.getRecordPage({ offset: 2, limit: 60 });
+            expect(page.records).to.have.length(53);
+            expect(page.records[52].id).to.equal(54);
+            expect(page).to.include({ total: 55, nextOffset: null });
+        });
+
+        it("Should refuse pages the caller has no access to", async function () {
+            await enroll(2);
+            const outsiderClient = new PrivacyTrainingClient(address, outsider);
+
+            await expect(outsiderClient.getRecordPage({ limit: 10 })).to.be.rejectedWith("Not authorized trainer");
+            await expect(outsiderClient.getEmployeeRecordPage(employee.address, { limit: 10 }))
+                .to.be.rejectedWith("Not authorized to view these records");
+        });
+
+        it("Should reject invalid pages", async function () {
+            await expect(trainerClient.getRecordPage({ offset: -1 })).to.be.rejectedWith("offset");
+            await expect(trainerClient.getRecordPage({ limit: 0 })).to.be.rejectedWith("limit");
+        });
+    });
+
+    describe("Modules", function () {
+
+        it("Should return typed modules and null for unknown IDs", async function () {
+            const modules = await adminClient.getTrainingModules();
+            expect(modules[0]).to.include({ id: "data-privacy", isActive: true });
+            expect(modules[0].duration).to.be.a("number");
+
+            await (await adminClient.setTrainingModuleActive("data-privacy", false)).wait();
+            const active = await adminClient.getActiveTrainingModules();
+            expect(active.map(module => module.id)).to.not.include("data-privacy");
+
+            expect(await adminClient.getTrainingModule("no-such-module")).to.be.null;
+        });
+    });
+
+    describe("Events", function () {
+
+        it("Should parse receipts into typed events", async function () {
+            const events = await enroll(3);
+            expect(events.map(event => event.type)).to.deep.equal(["created", "created", "created"]);
+            expect(events.map(event => event.recordId)).to.deep.equal([0, 1, 2]);
+            expect(events[0]).to.include({ employee: employee.address, trainer: trainer.address, trainingModule: "data-privacy" });
+        });
+
+        it("Should query record events in chain order, filtered and chunked", async function () {
+            await enroll(2);
+            const encrypted = await trainerClient.encryptCompletion(fhevm, { completed: true, certified: false, score: 70 });
+            await (await trainerClient.completeTrainingEncrypted(1, encrypted, NO_DETAIL)).wait();
+
+            const chunked = new PrivacyTrainingClient(address, outsider, { logBlockRange: 1 });
+            const events = await chunked.queryRecordEvents();
+            expect(events.map(event => `${event.type}:${event.recordId}`))
+                .to.deep.equal(["created:0", "created:1", "completed:1"]);
+            expect(events[2]).to.not.have.property("passed");
+
+            const completed = await chunked.queryRecordEvents({ types: ["completed"], recordId: 1 });
+            expect(completed).to.have.length(1);
+            expect(completed[0].trainer).to.equal(trainer.address);
+        });
+
+        it("Should list trainer authorizations and revocations", async function () {
+            await (await adminClient.revokeTrainer(trainer.address)).wait();
+
+            const events = await adminClient.queryTrainerEvents();
+            expect(events.map(event => `${event.type}:${event.trainer}`))
+                .to.deep.equal([`authorized:${trainer.address}`, `revoked:${trainer.address}`]);
+        });
+    });
+});
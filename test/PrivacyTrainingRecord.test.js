@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const { commit, encryptCompletion, completeTraining, decryptScore } = require("./helpers");
 
 /**
  * @title PrivacyTrainingRecord Comprehensive Test Suite
@@ -41,9 +42,17 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
         // Deploy contract
         const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
         privacyTrainingRecord = await PrivacyTrainingRecord.deploy();
-        await privacyTrainingRecord.deployed();
+        await privacyTrainingRecord.waitForDeployment();
     });
 
+    // Sends an encrypted outcome straight to the contract, bypassing the client's role check
+    async function completeEncrypted(sender, recordId, encrypted, notesCommitment) {
+        const { completed, certified, score, inputProof } = encrypted;
+        return privacyTrainingRecord.connect(sender).completeTrainingEncrypted(
+            recordId, completed, certified, score, inputProof, notesCommitment
+        );
+    }
+
     /**
      * CATEGORY 1: Deployment & Initialization Tests
      * @chapter: basic
@@ -134,6 +143,94 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             expect(module.name).to.equal("Cybersecurity Fundamentals");
             expect(module.duration).to.equal(45);
         });
+
+        it("Should list added modules in the module registry", async function () {
+            await expect(
+                privacyTrainingRecord.connect(admin).addTrainingModule(
+                    "cyber-security",
+                    "Cybersecurity Fundamentals",
+                    "Advanced cybersecurity training",
+                    45
+                )
+            )
+                .to.emit(privacyTrainingRecord, "TrainingModuleAdded")
+                .withArgs("cyber-security", "Cybersecurity Fundamentals");
+
+            expect(await privacyTrainingRecord.getTrainingModuleCount()).to.equal(5);
+
+            const [moduleIds, names, , durations, activeFlags] =
+                await privacyTrainingRecord.getTrainingModules();
+            expect(moduleIds[4]).to.equal("cyber-security");
+            expect(names[4]).to.equal("Cybersecurity Fundamentals");
+            expect(durations[4]).to.equal(45);
+            expect(activeFlags[4]).to.be.true;
+
+            const [activeIds] = await privacyTrainingRecord.getActiveTrainingModules();
+            expect(activeIds).to.include("cyber-security");
+        });
+
+        it("Should not duplicate module IDs when a module is updated", async function () {
+            await privacyTrainingRecord.connect(admin).addTrainingModule(
+                TRAINING_MODULES.GDPR,
+                "GDPR Compliance v2",
+                "Updated GDPR training",
+                90
+            );
+
+            expect(await privacyTrainingRecord.getTrainingModuleCount()).to.equal(4);
+            const module = await privacyTrainingRecord.trainingModules(TRAINING_MODULES.GDPR);
+            expect(module.name).to.equal("GDPR Compliance v2");
+        });
+
+        it("Should reject modules without an ID or name", async function () {
+            await expect(
+                privacyTrainingRecord.connect(admin).addTrainingModule("", "Name", "Description", 30)
+            ).to.be.revertedWith("Module ID required");
+
+            await expect(
+                privacyTrainingRecord.connect(admin).addTrainingModule("some-module", "", "Description", 30)
+            ).to.be.revertedWith("Module name required");
+        });
+
+        it("Should allow admin to deactivate and reactivate modules", async function () {
+            await expect(
+                privacyTrainingRecord.connect(admin).setTrainingModuleActive(TRAINING_MODULES.INCIDENT, false)
+            )
+                .to.emit(privacyTrainingRecord, "TrainingModuleStatusChanged")
+                .withArgs(TRAINING_MODULES.INCIDENT, false);
+
+            const [activeIds] = await privacyTrainingRecord.getActiveTrainingModules();
+            expect(activeIds.length).to.equal(3);
+            expect(activeIds).to.not.include(TRAINING_MODULES.INCIDENT);
+
+            // Inactive modules stay in the full registry
+            const [, , , , activeFlags] = await privacyTrainingRecord.getTrainingModules();
+            expect(activeFlags[3]).to.be.false;
+
+            await expect(
+                privacyTrainingRecord.connect(admin).createTrainingRecord(
+                    employee1.address,
+                    commit("John Smith"),
+                    TRAINING_MODULES.INCIDENT
+                )
+            ).to.be.revertedWith("Training module not active");
+
+            await privacyTrainingRecord.connect(admin).setTrainingModuleActive(TRAINING_MODULES.INCIDENT, true);
+            const [reactivatedIds] = await privacyTrainingRecord.getActiveTrainingModules();
+            expect(reactivatedIds.length).to.equal(4);
+        });
+
+        it("Should prevent non-admins from changing module status", async function () {
+            await expect(
+                privacyTrainingRecord.connect(unauthorized).setTrainingModuleActive(TRAINING_MODULES.GDPR, false)
+            ).to.be.revertedWith("Only admin can perform this action");
+        });
+
+        it("Should reject status changes for unknown modules", async function () {
+            await expect(
+                privacyTrainingRecord.connect(admin).setTrainingModuleActive("unknown-module", false)
+            ).to.be.revertedWith("Training module not found");
+        });
     });
 
     /**
@@ -152,12 +249,12 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await expect(
                 privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "John Smith",
+                    commit("John Smith"),
                     TRAINING_MODULES.DATA_PRIVACY
                 )
             )
                 .to.emit(privacyTrainingRecord, "TrainingRecordCreated")
-                .withArgs(0, employee1.address, TRAINING_MODULES.DATA_PRIVACY);
+                .withArgs(0, employee1.address, TRAINING_MODULES.DATA_PRIVACY, trainer1.address);
 
             const recordCounter = await privacyTrainingRecord.recordCounter();
             expect(recordCounter).to.equal(1);
@@ -166,27 +263,27 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
         it("Should initialize encrypted fields to false", async function () {
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Smith",
+                commit("John Smith"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(0);
             expect(record.completionTime).to.equal(0);
             expect(record.isActive).to.be.true;
-            expect(record.score).to.equal(0);
+            expect(await decryptScore(privacyTrainingRecord, 0, employee1)).to.equal(0n);
         });
 
         it("Should track employee training records correctly", async function () {
             // Create multiple records for same employee
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Smith",
+                commit("John Smith"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Smith",
+                commit("John Smith"),
                 TRAINING_MODULES.GDPR
             );
 
@@ -200,7 +297,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await expect(
                 privacyTrainingRecord.connect(unauthorized).createTrainingRecord(
                     employee1.address,
-                    "John Smith",
+                    commit("John Smith"),
                     TRAINING_MODULES.DATA_PRIVACY
                 )
             ).to.be.revertedWith("Not authorized trainer");
@@ -210,11 +307,77 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await expect(
                 privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "John Smith",
+                    commit("John Smith"),
                     "non-existent-module"
                 )
             ).to.be.revertedWith("Training module not active");
         });
+
+        it("Should enroll several employees in one batch transaction", async function () {
+            await expect(
+                privacyTrainingRecord.connect(trainer1).createTrainingRecordsBatch(
+                    [employee1.address, employee2.address, employee1.address],
+                    ["John Smith", "Jane Doe", "John Smith"].map(commit),
+                    [TRAINING_MODULES.DATA_PRIVACY, TRAINING_MODULES.DATA_PRIVACY, TRAINING_MODULES.GDPR]
+                )
+            )
+                .to.emit(privacyTrainingRecord, "TrainingRecordCreated")
+                .withArgs(2, employee1.address, TRAINING_MODULES.GDPR, trainer1.address);
+
+            expect(await privacyTrainingRecord.recordCounter()).to.equal(3);
+
+            const employee1Records = await privacyTrainingRecord.getEmployeeTrainingStatus(employee1.address);
+            expect(employee1Records.length).to.equal(2);
+
+            const record = await privacyTrainingRecord.connect(employee2).getTrainingRecord(1);
+            expect(record.nameCommitment).to.equal(commit("Jane Doe"));
+        });
+
+        it("Should revert the whole batch if any row uses an inactive module", async function () {
+            await expect(
+                privacyTrainingRecord.connect(trainer1).createTrainingRecordsBatch(
+                    [employee1.address, employee2.address],
+                    ["John Smith", "Jane Doe"].map(commit),
+                    [TRAINING_MODULES.DATA_PRIVACY, "non-existent-module"]
+                )
+            ).to.be.revertedWith("Training module not active");
+
+            expect(await privacyTrainingRecord.recordCounter()).to.equal(0);
+        });
+
+        it("Should reject malformed batches", async function () {
+            await expect(
+                privacyTrainingRecord.connect(trainer1).createTrainingRecordsBatch([], [], [])
+            ).to.be.revertedWith("Empty batch");
+
+            await expect(
+                privacyTrainingRecord.connect(trainer1).createTrainingRecordsBatch(
+                    [employee1.address, employee2.address],
+                    ["John Smith"].map(commit),
+                    [TRAINING_MODULES.DATA_PRIVACY, TRAINING_MODULES.GDPR]
+                )
+            ).to.be.revertedWith("Array length mismatch");
+
+            const maxBatchSize = Number(await privacyTrainingRecord.MAX_BATCH_SIZE());
+            const employees = Array(maxBatchSize + 1).fill(employee1.address);
+            await expect(
+                privacyTrainingRecord.connect(trainer1).createTrainingRecordsBatch(
+                    employees,
+                    employees.map(() => commit("John Smith")),
+                    employees.map(() => TRAINING_MODULES.DATA_PRIVACY)
+                )
+            ).to.be.revertedWith("Batch too large");
+        });
+
+        it("Should prevent unauthorized users from batch enrolling", async function () {
+            await expect(
+                privacyTrainingRecord.connect(unauthorized).createTrainingRecordsBatch(
+                    [employee1.address],
+                    ["John Smith"].map(commit),
+                    [TRAINING_MODULES.DATA_PRIVACY]
+                )
+            ).to.be.revertedWith("Not authorized trainer");
+        });
     });
 
     /**
@@ -232,7 +395,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             // Create a training record
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Smith",
+                commit("John Smith"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
             recordId = 0;
@@ -240,16 +403,18 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
 
         it("Should complete training with encrypted status", async function () {
             await expect(
-                privacyTrainingRecord.connect(trainer1).completeTraining(
+                completeTraining(
+                    privacyTrainingRecord,
+                    trainer1,
                     recordId,
                     true,  // completed
                     true,  // certified
                     85,    // score
-                    "Excellent performance"
+                    commit("Excellent performance")
                 )
             )
                 .to.emit(privacyTrainingRecord, "TrainingCompleted")
-                .withArgs(recordId, employee1.address, true);
+                .withArgs(recordId, employee1.address, trainer1.address);
         });
 
         it("Should update completion timestamp when completed", async function () {
@@ -257,12 +422,14 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             const blockBefore = await ethers.provider.getBlock(blockNumBefore);
             const timestampBefore = blockBefore.timestamp;
 
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 recordId,
                 true,
                 true,
                 85,
-                "Excellent performance"
+                commit("Excellent performance")
             );
 
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
@@ -270,83 +437,134 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
         });
 
         it("Should set expiry time based on module duration", async function () {
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 recordId,
                 true,
                 true,
                 85,
-                "Excellent performance"
+                commit("Excellent performance")
             );
 
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
 
             // Data Privacy module has 30 days duration
-            const expectedExpiry = record.completionTime.add(30 * 24 * 60 * 60);
+            const expectedExpiry = record.completionTime + 30n * 24n * 60n * 60n;
             expect(record.expiryTime).to.equal(expectedExpiry);
         });
 
-        it("Should store score and notes in plaintext", async function () {
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+        it("Should store the score encrypted and only a commitment of the notes", async function () {
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 recordId,
                 true,
                 true,
                 92,
-                "Outstanding achievement"
+                commit("Outstanding achievement")
             );
 
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
-            expect(record.score).to.equal(92);
-            expect(record.notes).to.equal("Outstanding achievement");
+            expect(record.score).to.be.undefined;
+            expect(record.notesCommitment).to.equal(commit("Outstanding achievement"));
+            expect(await decryptScore(privacyTrainingRecord, recordId, employee1)).to.equal(92n);
         });
 
         it("Should allow marking training as not completed", async function () {
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 recordId,
                 false,  // not completed
                 false,  // not certified
                 45,     // failing score
-                "Needs improvement"
+                commit("Needs improvement")
             );
 
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
-            expect(record.score).to.equal(45);
-            expect(record.notes).to.equal("Needs improvement");
+            expect(record.notesCommitment).to.equal(commit("Needs improvement"));
+            expect(await decryptScore(privacyTrainingRecord, recordId, employee1)).to.equal(45n);
         });
 
         it("Should prevent unauthorized users from completing training", async function () {
-            await expect(
-                privacyTrainingRecord.connect(unauthorized).completeTraining(
-                    recordId,
-                    true,
-                    true,
-                    85,
-                    "Test"
-                )
-            ).to.be.revertedWith("Not authorized trainer");
+            const encrypted = await encryptCompletion(privacyTrainingRecord, unauthorized, true, true, 85);
+
+            await expect(completeEncrypted(unauthorized, recordId, encrypted, commit("Test")))
+                .to.be.revertedWith("Not authorized trainer");
         });
 
         it("Should prevent completing inactive records", async function () {
             // Complete the training first
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 recordId,
                 true,
                 true,
                 85,
-                "First completion"
+                commit("First completion")
             );
 
             // Try to complete again - this should work as record is still active
             // In a real scenario, you might want to add logic to prevent re-completion
             await expect(
-                privacyTrainingRecord.connect(trainer1).completeTraining(
+                completeTraining(
+                    privacyTrainingRecord,
+                    trainer1,
                     recordId,
                     true,
                     true,
                     90,
-                    "Second completion"
+                    commit("Second completion")
                 )
             ).to.not.be.reverted;
         });
+
+        describe("Encrypted inputs", function () {
+
+            it("Should store the encrypted outcome for the employee and trainer to decrypt", async function () {
+                const encrypted = await encryptCompletion(privacyTrainingRecord, trainer1, true, false, 77);
+                await completeEncrypted(trainer1, recordId, encrypted, commit("Retake the certification exam"));
+
+                const contractAddress = await privacyTrainingRecord.getAddress();
+                const completion = await privacyTrainingRecord.connect(employee1).getEncryptedCompletion(recordId);
+                const certification = await privacyTrainingRecord.connect(trainer1).getEncryptedCertification(recordId);
+
+                expect(await fhevm.userDecryptEbool(completion, contractAddress, employee1)).to.be.true;
+                expect(await fhevm.userDecryptEbool(certification, contractAddress, trainer1)).to.be.false;
+                expect(await decryptScore(privacyTrainingRecord, recordId, employee1)).to.equal(77n);
+
+                const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
+                expect(record.notesCommitment).to.equal(commit("Retake the certification exam"));
+            });
+
+            it("Should not reveal the outcome in the event or the expiry", async function () {
+                const passed = await encryptCompletion(privacyTrainingRecord, trainer1, true, true, 90);
+                const receipt = await (await completeEncrypted(trainer1, recordId, passed, commit(""))).wait();
+                const event = receipt.logs
+                    .map(log => privacyTrainingRecord.interface.parseLog(log))
+                    .find(parsed => parsed && parsed.name === "TrainingCompleted");
+                expect([...event.args]).to.deep.equal([BigInt(recordId), employee1.address, trainer1.address]);
+                const passedRecord = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
+
+                const failed = await encryptCompletion(privacyTrainingRecord, trainer1, false, false, 20);
+                await completeEncrypted(trainer1, recordId, failed, commit(""));
+                const failedRecord = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
+
+                // Both outcomes get an expiry one module duration after completion
+                const duration = 30n * 24n * 60n * 60n;
+                expect(passedRecord.expiryTime - passedRecord.completionTime).to.equal(duration);
+                expect(failedRecord.expiryTime - failedRecord.completionTime).to.equal(duration);
+            });
+
+            it("Should reject an input encrypted for another sender", async function () {
+                await privacyTrainingRecord.connect(admin).authorizeTrainer(trainer2.address);
+                const encrypted = await encryptCompletion(privacyTrainingRecord, trainer1, true, true, 90);
+
+                await expect(completeEncrypted(trainer2, recordId, encrypted, commit(""))).to.be.reverted;
+            });
+        });
     });
 
     /**
@@ -364,17 +582,19 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             // Create and complete a training record
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "John Smith",
+                commit("John Smith"),
                 TRAINING_MODULES.SECURITY
             );
             recordId = 0;
 
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 recordId,
                 true,
                 true,
                 88,
-                "Good understanding of security principles"
+                commit("Good understanding of security principles")
             );
         });
 
@@ -382,15 +602,15 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(recordId);
 
             expect(record.employee).to.equal(employee1.address);
-            expect(record.employeeName).to.equal("John Smith");
+            expect(record.nameCommitment).to.equal(commit("John Smith"));
             expect(record.trainingModule).to.equal(TRAINING_MODULES.SECURITY);
-            expect(record.score).to.equal(88);
+            expect(record.score).to.be.undefined;
         });
 
         it("Should allow trainer to retrieve records they created", async function () {
             const record = await privacyTrainingRecord.connect(trainer1).getTrainingRecord(recordId);
 
-            expect(record.employeeName).to.equal("John Smith");
+            expect(record.nameCommitment).to.equal(commit("John Smith"));
         });
 
         it("Should allow admin to retrieve any record", async function () {
@@ -423,6 +643,38 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await expect(
                 privacyTrainingRecord.connect(unauthorized).getEncryptedCompletion(recordId)
             ).to.be.revertedWith("Not authorized");
+            await expect(
+                privacyTrainingRecord.connect(unauthorized).getEncryptedScore(recordId)
+            ).to.be.revertedWith("Not authorized");
+        });
+
+        it("Should not expose the score through the paginated record views", async function () {
+            const [records] = await privacyTrainingRecord.connect(trainer1).getTrainingRecordsPage(recordId, 1);
+
+            // Records are returned without their encrypted fields; the score is only reachable as a handle
+            expect(records[0].notesCommitment).to.equal(commit("Good understanding of security principles"));
+            expect(records[0].score).to.be.undefined;
+            expect(records[0].encryptedScore).to.be.undefined;
+        });
+
+        it("Should let the employee and the completing trainer user-decrypt the score", async function () {
+            expect(await decryptScore(privacyTrainingRecord, recordId, employee1)).to.equal(88n);
+            expect(await decryptScore(privacyTrainingRecord, recordId, trainer1)).to.equal(88n);
+        });
+
+        it("Should require other trainers to request access before decrypting the score", async function () {
+            await privacyTrainingRecord.connect(admin).authorizeTrainer(trainer2.address);
+
+            let decryptError;
+            try {
+                await decryptScore(privacyTrainingRecord, recordId, trainer2);
+            } catch (error) {
+                decryptError = error;
+            }
+            expect(decryptError).to.not.be.undefined;
+
+            await privacyTrainingRecord.connect(trainer2).grantDecryptionAccess(recordId);
+            expect(await decryptScore(privacyTrainingRecord, recordId, trainer2)).to.equal(88n);
         });
 
         it("Should check training expiry correctly", async function () {
@@ -431,6 +683,56 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             // Should not be expired immediately after completion
             expect(isExpired).to.be.false;
         });
+
+        it("Should let the employee user-decrypt their completion status", async function () {
+            const handle = await privacyTrainingRecord.connect(employee1).getEncryptedCompletion(recordId);
+            const contractAddress = await privacyTrainingRecord.getAddress();
+
+            const completed = await fhevm.userDecryptEbool(handle, contractAddress, employee1);
+            expect(completed).to.be.true;
+        });
+
+        it("Should let the completing trainer user-decrypt the certification status", async function () {
+            const handle = await privacyTrainingRecord.connect(trainer1).getEncryptedCertification(recordId);
+            const contractAddress = await privacyTrainingRecord.getAddress();
+
+            const certified = await fhevm.userDecryptEbool(handle, contractAddress, trainer1);
+            expect(certified).to.be.true;
+        });
+
+        it("Should require other trainers to request decryption access", async function () {
+            await privacyTrainingRecord.connect(admin).authorizeTrainer(trainer2.address);
+            const handle = await privacyTrainingRecord.connect(trainer2).getEncryptedCompletion(recordId);
+            const contractAddress = await privacyTrainingRecord.getAddress();
+
+            // Authorized to read the handle, but not yet on the FHE ACL for it
+            let decryptError;
+            try {
+                await fhevm.userDecryptEbool(handle, contractAddress, trainer2);
+            } catch (error) {
+                decryptError = error;
+            }
+            expect(decryptError).to.not.be.undefined;
+
+            await expect(privacyTrainingRecord.connect(trainer2).grantDecryptionAccess(recordId))
+                .to.emit(privacyTrainingRecord, "DecryptionAccessGranted")
+                .withArgs(recordId, trainer2.address);
+
+            const completed = await fhevm.userDecryptEbool(handle, contractAddress, trainer2);
+            expect(completed).to.be.true;
+        });
+
+        it("Should prevent non-trainers from requesting decryption access", async function () {
+            await expect(
+                privacyTrainingRecord.connect(employee2).grantDecryptionAccess(recordId)
+            ).to.be.revertedWith("Not authorized trainer");
+        });
+
+        it("Should reject decryption access requests for unknown records", async function () {
+            await expect(
+                privacyTrainingRecord.connect(trainer1).grantDecryptionAccess(999)
+            ).to.be.revertedWith("Record not active");
+        });
     });
 
     /**
@@ -444,30 +746,32 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await privacyTrainingRecord.connect(admin).authorizeTrainer(trainer1.address);
         });
 
-        it("Should handle empty employee name gracefully", async function () {
+        it("Should reject a record without a name commitment", async function () {
             await expect(
                 privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "",  // Empty name
+                    ethers.ZeroHash,  // No name
                     TRAINING_MODULES.DATA_PRIVACY
                 )
-            ).to.not.be.reverted;
+            ).to.be.revertedWith("Name commitment required");
         });
 
         it("Should handle zero score", async function () {
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "Test User",
+                commit("Test User"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
             await expect(
-                privacyTrainingRecord.connect(trainer1).completeTraining(
+                completeTraining(
+                    privacyTrainingRecord,
+                    trainer1,
                     0,
                     false,
                     false,
                     0,  // Zero score
-                    "Failed to complete"
+                    commit("Failed to complete")
                 )
             ).to.not.be.reverted;
         });
@@ -475,17 +779,19 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
         it("Should handle empty notes", async function () {
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "Test User",
+                commit("Test User"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
             await expect(
-                privacyTrainingRecord.connect(trainer1).completeTraining(
+                completeTraining(
+                    privacyTrainingRecord,
+                    trainer1,
                     0,
                     true,
                     true,
                     75,
-                    ""  // Empty notes
+                    commit("")  // Empty notes
                 )
             ).to.not.be.reverted;
         });
@@ -494,7 +800,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             for (let i = 0; i < 5; i++) {
                 await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "John Smith",
+                    commit("John Smith"),
                     TRAINING_MODULES.DATA_PRIVACY
                 );
             }
@@ -535,7 +841,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await expect(
                 privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                     employee1.address,
-                    "Test User",
+                    commit("Test User"),
                     TRAINING_MODULES.DATA_PRIVACY
                 )
             ).to.not.be.reverted;
@@ -558,7 +864,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
 
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "Test User",
+                commit("Test User"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
@@ -583,7 +889,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             await expect(
                 privacyTrainingRecord.connect(unauthorized).createTrainingRecord(
                     employee1.address,
-                    "Test User",
+                    commit("Test User"),
                     TRAINING_MODULES.DATA_PRIVACY
                 )
             ).to.be.revertedWith("Not authorized trainer");
@@ -601,7 +907,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
 
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "Test User",
+                commit("Test User"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
@@ -630,7 +936,7 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             // 2. Trainer creates training record
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "Alice Johnson",
+                commit("Alice Johnson"),
                 TRAINING_MODULES.GDPR
             );
 
@@ -639,17 +945,19 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             expect(recordsBefore.length).to.equal(1);
 
             // 4. Trainer completes training
-            await privacyTrainingRecord.connect(trainer1).completeTraining(
+            await completeTraining(
+                privacyTrainingRecord,
+                trainer1,
                 0,
                 true,
                 true,
                 95,
-                "Exceptional understanding of GDPR principles"
+                commit("Exceptional understanding of GDPR principles")
             );
 
             // 5. Employee retrieves and verifies their record
             const record = await privacyTrainingRecord.connect(employee1).getTrainingRecord(0);
-            expect(record.score).to.equal(95);
+            expect(await decryptScore(privacyTrainingRecord, 0, employee1)).to.equal(95n);
             expect(record.completionTime).to.be.gt(0);
 
             // 6. Check encrypted completion status
@@ -664,14 +972,14 @@ describe("PrivacyTrainingRecord - FHEVM Example Tests", function () {
             // Trainer 1 creates records for Employee 1
             await privacyTrainingRecord.connect(trainer1).createTrainingRecord(
                 employee1.address,
-                "Alice Johnson",
+                commit("Alice Johnson"),
                 TRAINING_MODULES.DATA_PRIVACY
             );
 
             // Trainer 2 creates records for Employee 2
             await privacyTrainingRecord.connect(trainer2).createTrainingRecord(
                 employee2.address,
-                "Bob Wilson",
+                commit("Bob Wilson"),
                 TRAINING_MODULES.SECURITY
             );
 
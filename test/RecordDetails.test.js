@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EncryptedFileStore, createDetailsServer } = require("../scripts/details-store");
+const { completeTraining } = require("./helpers");
+
+/**
+ * @title Record Details Tests
+ * @notice Covers the off-chain half of a record: the salted commitments in lib/record-details.mjs,
+ * the signed store sessions, and the details store (scripts/details-store.js) running against a
+ * freshly deployed contract, which decides who may save, read and erase names and notes.
+ * @dev The modules are ES modules, so they are loaded with a dynamic import. The store listens
+ * on a free port and keeps its encrypted file in a temporary directory.
+ */
+describe("Record Details", function () {
+    let RecordDetails, PrivacyTrainingClient;
+    let admin, trainer, employee, outsider;
+    let contract, address, chainId;
+
+    before(async function () {
+        RecordDetails = await import("../lib/record-details.mjs");
+        ({ PrivacyTrainingClient } = await import("../lib/privacy-training-client.mjs"));
+    });
+
+    beforeEach(async function () {
+        [admin, trainer, employee, outsider] = await ethers.getSigners();
+
+        const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
+        contract = await PrivacyTrainingRecord.deploy();
+        await contract.waitForDeployment();
+        address = await contract.getAddress();
+        chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+        await contract.authorizeTrainer(trainer.address);
+    });
+
+    describe("Commitments", function () {
+
+        it("Should salt every value so equal names get different commitments", async function () {
+            const first = RecordDetails.createDetail("Alice Smith");
+            const second = RecordDetails.createDetail("Alice Smith");
+
+            expect(first.commitment).to.not.equal(second.commitment);
+            expect(first.commitment).to.not.equal(ethers.id("Alice Smith"));
+            expect(RecordDetails.verifyDetail(first, first.commitment)).to.be.true;
+            expect(RecordDetails.verifyDetail(first, second.commitment)).to.be.false;
+        });
+
+        it("Should reject a changed value or salt", async function () {
+            const detail = RecordDetails.createDetail("Alice Smith");
+
+            expect(RecordDetails.verifyDetail({ ...detail, value: "Mallory" }, detail.commitment)).to.be.false;
+            expect(RecordDetails.verifyDetail({ ...detail, salt: ethers.ZeroHash }, detail.commitment)).to.be.false;
+            expect(RecordDetails.verifyDetail({ value: "Alice Smith" }, detail.commitment)).to.be.false;
+        });
+
+        it("Should commit an empty value to NO_DETAIL", async function () {
+            const empty = RecordDetails.createDetail("");
+
+            expect(empty.commitment).to.equal(RecordDetails.NO_DETAIL);
+            expect(RecordDetails.verifyDetail(empty, RecordDetails.NO_DETAIL)).to.be.true;
+            expect(() => RecordDetails.createDetail(null)).to.throw("must be a string");
+        });
+
+        it("Should resolve only values that match the record's commitments", async function () {
+            const name = RecordDetails.createDetail("Alice Smith");
+            const notes = RecordDetails.createDetail("Passed");
+            const record = { id: 0, nameCommitment: name.commitment, notesCommitment: notes.commitment };
+            const { resolveRecordDetails, DETAILS_STATUS } = RecordDetails;
+
+            expect(resolveRecordDetails(record, { employeeName: name, notes })).to.include({
+                employeeName: "Alice Smith",
+                notes: "Passed",
+                detailsStatus: DETAILS_STATUS.VERIFIED
+            });
+            expect(resolveRecordDetails(record, { employeeName: name })).to.include({
+                employeeName: "Alice Smith",
+                notes: null,
+                detailsStatus: DETAILS_STATUS.UNAVAILABLE
+            });
+            expect(resolveRecordDetails(record, { employeeName: { ...name, value: "Mallory" }, notes })).to.include({
+                employeeName: null,
+                detailsStatus: DETAILS_STATUS.MISMATCH
+            });
+
+            const withoutNotes = { ...record, notesCommitment: RecordDetails.NO_DETAIL };
+            expect(resolveRecordDetails(withoutNotes, { employeeName: name })).to.include({
+                notes: "",
+                detailsStatus: DETAILS_STATUS.VERIFIED
+            });
+        });
+    });
+
+    describe("Sessions", function () {
+
+        async function signSession(signer, { expiresAt, contractAddress = address, sessionChainId = chainId } = {}) {
+            const message = RecordDetails.sessionMessage({
+                account: signer.address,
+                contractAddress,
+                chainId: sessionChainId,
+                expiresAt
+            });
+            return { account: signer.address, expiresAt, signature: await signer.signMessage(message) };
+        }
+
+        it("Should return the account that signed a session", async function () {
+            const now = Math.floor(Date.now() / 1000);
+            const session = await signSession(employee, { expiresAt: now + 3600 });
+
+            expect(RecordDetails.verifySession(session, { contractAddress: address, chainId, now })).to.equal(employee.address);
+        });
+
+        it("Should reject expired, overlong, forged and foreign sessions", async function () {
+            const now = Math.floor(Date.now() / 1000);
+            const options = { contractAddress: address, chainId, now };
+            const verify = session => () => RecordDetails.verifySession(session, options);
+
+            expect(verify(await signSession(employee, { expiresAt: now - 1 }))).to.throw("has expired");
+            expect(verify(await signSession(employee, { expiresAt: now + 7 * 24 * 3600 }))).to.throw("valid for too long");
+
+            const valid = await signSession(employee, { expiresAt: now + 3600 });
+            expect(verify({ ...valid, account: outsider.address })).to.throw("Invalid details store session");
+            expect(verify(await signSession(employee, { expiresAt: now + 3600, contractAddress: outsider.address })))
+                .to.throw("Invalid details store session");
+            expect(verify(await signSession(employee, { expiresAt: now + 3600, sessionChainId: chainId + 1 })))
+                .to.throw("Invalid details store session");
+            expect(verify(null)).to.throw("Sign in to the details store first");
+        });
+    });
+
+    describe("Details store", function () {
+        let directory, file, fileStore, server, url;
+
+        beforeEach(async function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), "details-store-"));
+            file = path.join(directory, "details.json");
+            fileStore = new EncryptedFileStore(file, crypto.randomBytes(32));
+
+            const client = new PrivacyTrainingClient(address, ethers.provider);
+            server = await createDetailsServer({ client, store: fileStore, chainId });
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            url = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async function () {
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        function storeFor(signer) {
+            return new RecordDetails.RecordDetailsStore(url, signer, { contractAddress: address, chainId });
+        }
+
+        // Creates and completes a record the way the web app does: details are saved before each transaction
+        async function createRecord(nameValue, notesValue) {
+            const name = RecordDetails.createDetail(nameValue);
+            const notes = RecordDetails.createDetail(notesValue);
+            await storeFor(trainer).save([name, notes]);
+
+            const recordId = Number(await contract.recordCounter());
+            await contract.connect(trainer).createTrainingRecord(employee.address, name.commitment, "data-privacy");
+            await (await completeTraining(contract, trainer, recordId, true, true, 88, notes.commitment)).wait();
+            return { recordId, name, notes };
+        }
+
+        it("Should show the employee and trainers their verified name and notes", async function () {
+            const { recordId } = await createRecord("Alice Smith", "Passed first time");
+
+            for (const signer of [employee, trainer, admin]) {
+                const records = [await new PrivacyTrainingClient(address, signer).getRecord(recordId)];
+                const [resolved] = await storeFor(signer).resolveRecords(records);
+                expect(resolved).to.include({
+                    employeeName: "Alice Smith",
+                    notes: "Passed first time",
+                    detailsStatus: RecordDetails.DETAILS_STATUS.VERIFIED
+                });
+            }
+        });
+
+        it("Should deny accounts the contract won't show the record to", async function () {
+            const { recordId } = await createRecord("Alice Smith", "Passed first time");
+
+            const { details, denied } = await storeFor(outsider).resolve([recordId]);
+            expect(details).to.deep.equal({});
+            expect(denied).to.deep.equal([recordId]);
+        });
+
+        it("Should only let trainers and the admin save details", async function () {
+            await expect(storeFor(employee).save([RecordDetails.createDetail("Alice Smith")]))
+                .to.be.rejectedWith("Only trainers and the admin can save record details");
+        });
+
+        it("Should refuse a detail that doesn't match its commitment", async function () {
+            const detail = RecordDetails.createDetail("Alice Smith");
+
+            await expect(storeFor(trainer).save([{ ...detail, value: "Mallory" }]))
+                .to.be.rejectedWith("does not match its commitment");
+        });
+
+        it("Should keep names and notes encrypted at rest", async function () {
+            await createRecord("Alice Smith", "Passed first time");
+
+            const contents = fs.readFileSync(file, "utf8");
+            expect(contents).to.not.include("Alice Smith");
+            expect(contents).to.not.include("Passed first time");
+            expect(Object.keys(JSON.parse(contents))).to.have.length(2);
+        });
+
+        it("Should flag a stored value that doesn't match the chain", async function () {
+            const { recordId, name } = await createRecord("Alice Smith", "Passed first time");
+            // A store entry swapped behind the store's back: right key, wrong value
+            fileStore.put(name.commitment.toLowerCase(), { value: "Mallory", salt: name.salt });
+
+            const records = [await new PrivacyTrainingClient(address, employee).getRecord(recordId)];
+            const [resolved] = await storeFor(employee).resolveRecords(records);
+            expect(resolved.employeeName).to.be.null;
+            expect(resolved.detailsStatus).to.equal(RecordDetails.DETAILS_STATUS.MISMATCH);
+        });
+
+        it("Should let the saver discard details no transaction used", async function () {
+            const name = RecordDetails.createDetail("Alice Smith");
+            await storeFor(trainer).save([name]);
+
+            await expect(storeFor(admin).discard([name]))
+                .to.be.rejectedWith("Only recently saved details can be discarded");
+            expect(await storeFor(trainer).discard([name, RecordDetails.createDetail("")])).to.deep.equal({ discarded: 1 });
+            expect(fileStore.get(name.commitment.toLowerCase())).to.be.null;
+        });
+
+        it("Should let only the admin erase a record's details", async function () {
+            const { recordId } = await createRecord("Alice Smith", "Passed first time");
+
+            await expect(storeFor(trainer).erase(recordId))
+                .to.be.rejectedWith("Only the admin can erase record details");
+            expect(await storeFor(admin).erase(recordId)).to.deep.equal({ erased: 2 });
+            await expect(storeFor(admin).erase(recordId + 1)).to.be.rejectedWith(`Record ${recordId + 1} does not exist`);
+
+            const records = [await new PrivacyTrainingClient(address, employee).getRecord(recordId)];
+            const [resolved] = await storeFor(employee).resolveRecords(records);
+            expect(resolved).to.include({
+                employeeName: null,
+                notes: null,
+                detailsStatus: RecordDetails.DETAILS_STATUS.UNAVAILABLE
+            });
+            // The commitment stays on chain but no longer leads to the name
+            const record = await contract.connect(employee).getTrainingRecord(recordId);
+            expect(record.nameCommitment).to.not.equal(ethers.ZeroHash);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { commit, completeTraining } = require("./helpers");
+
+/**
+ * @title Record Privacy Tests
+ * @notice Proves that a record's personal data (employee name and notes) never reaches the chain,
+ * only commitments of it, and that an account which is neither the employee, an authorized
+ * trainer nor the admin can't read even those through any view. Also checks the access-checked
+ * paginated views that replaced the public record getters.
+ * @dev The sweep calls every view in the contract's ABI, so a getter added later is covered
+ * without touching this file.
+ */
+describe("Record Privacy", function () {
+    const NAME = "Jane Privacy";
+    const NOTES = "Confidential assessment notes";
+
+    let contract;
+    let admin, trainer, employee, otherEmployee, outsider;
+
+    beforeEach(async function () {
+        [admin, trainer, employee, otherEmployee, outsider] = await ethers.getSigners();
+
+        const PrivacyTrainingRecord = await ethers.getContractFactory("PrivacyTrainingRecord");
+        contract = await PrivacyTrainingRecord.deploy();
+        await contract.waitForDeployment();
+
+        await contract.authorizeTrainer(trainer.address);
+        await contract.connect(trainer).createTrainingRecord(employee.address, commit(NAME), "data-privacy");
+        await contract.connect(trainer).createTrainingRecord(otherEmployee.address, commit("Other Employee"), "gdpr-compliance");
+        await (await completeTraining(contract, trainer, 0, true, true, 95, commit(NOTES))).wait();
+    });
+
+    // An argument for each parameter the views take, aimed at the employee's record 0
+    function argumentsFor(fragment) {
+        return fragment.inputs.map(input => {
+            switch (input.type) {
+                case "uint256": return input.name === "_limit" ? 10 : 0;
+                case "address": return employee.address;
+                case "string": return "data-privacy";
+                default: throw new Error(`No test argument for ${input.type} in ${fragment.format()}`);
+            }
+        });
+    }
+
+    function flatten(value) {
+        return Array.isArray(value) ? value.flatMap(flatten) : [value];
+    }
+
+    // Calls every view as `signer`; returns the strings (including bytes32 hex) that came back and the views that reverted
+    async function sweepViews(signer) {
+        const views = contract.interface.fragments.filter(fragment =>
+            fragment.type === "function" && ["view", "pure"].includes(fragment.stateMutability));
+        const strings = [];
+        const reverted = [];
+
+        for (const fragment of views) {
+            try {
+                const result = await contract.connect(signer).getFunction(fragment.format())(...argumentsFor(fragment));
+                strings.push(...flatten(result).filter(value => typeof value === "string"));
+            } catch (error) {
+                reverted.push(fragment.name);
+            }
+        }
+        return { strings, reverted };
+    }
+
+    function containsPii(strings) {
+        return strings.some(value => value.includes(NAME) || value.includes(NOTES));
+    }
+
+    function containsCommitments(strings) {
+        return strings.includes(commit(NAME)) || strings.includes(commit(NOTES));
+    }
+
+    describe("Unauthorized callers", function () {
+
+        it("Should not generate public getters for record storage", async function () {
+            expect(contract.interface.getFunction("trainingRecords")).to.be.null;
+            expect(contract.interface.getFunction("employeeRecords")).to.be.null;
+        });
+
+        it("Should only accept a training outcome as encrypted input", async function () {
+            const completions = contract.interface.fragments.filter(fragment =>
+                fragment.type === "function" && fragment.name.startsWith("completeTraining"));
+
+            expect(completions.map(fragment => fragment.name)).to.deep.equal(["completeTrainingEncrypted"]);
+        });
+
+        it("Should not return an employee's name, notes or their commitments from any view", async function () {
+            const { strings, reverted } = await sweepViews(outsider);
+
+            expect(containsPii(strings)).to.be.false;
+            expect(containsCommitments(strings)).to.be.false;
+            expect(reverted).to.include.members([
+                "getTrainingRecord",
+                "getEmployeeTrainingStatus",
+                "getTrainingRecordsPage",
+                "getEmployeeRecordsPage",
+                "getEncryptedCompletion",
+                "getEncryptedCertification",
+                "getEncryptedScore"
+            ]);
+        });
+
+        it("Should find the commitments, but never the name or notes, in the sweep run by the employee", async function () {
+            // Control for the test above: the sweep does reach the record when access is allowed
+            const { strings } = await sweepViews(employee);
+
+            expect(strings).to.include(commit(NAME));
+            expect(strings).to.include(commit(NOTES));
+            expect(containsPii(strings)).to.be.false;
+        });
+
+        it("Should not list another employee's record IDs", async function () {
+            await expect(
+                contract.connect(outsider).getEmployeeTrainingStatus(employee.address)
+            ).to.be.revertedWith("Not authorized to view these records");
+            await expect(
+                contract.connect(otherEmployee).getEmployeeTrainingStatus(employee.address)
+            ).to.be.revertedWith("Not authorized to view these records");
+        });
+
+        it("Should keep employees to their own records", async function () {
+            await expect(
+                contract.connect(otherEmployee).getEmployeeRecordsPage(employee.address, 0, 10)
+            ).to.be.revertedWith("Not authorized to view these records");
+            await expect(
+                contract.connect(employee).getTrainingRecordsPage(0, 10)
+            ).to.be.revertedWith("Not authorized trainer");
+        });
+
+        it("Should stop a revoked trainer from reading records", async function () {
+            await contract.revokeTrainer(trainer.address);
+
+            const { strings } = await sweepViews(trainer);
+            expect(containsCommitments(strings)).to.be.false;
+        });
+    });
+
+    describe("Paginated views", function () {
+
+        it("Should page through all records for trainers and the admin", async function () {
+            for (const signer of [trainer, admin]) {
+                const [records, total] = await contract.connect(signer).getTrainingRecordsPage(0, 10);
+                expect(total).to.equal(2);
+                expect(records.map(record => record.id)).to.deep.equal([0n, 1n]);
+                expect(records[0].employee).to.equal(employee.address);
+                expect(records[0].nameCommitment).to.equal(commit(NAME));
+                expect(records[0].notesCommitment).to.equal(commit(NOTES));
+            }
+
+            const [second] = await contract.connect(trainer).getTrainingRecordsPage(1, 1);
+            expect(second.map(record => record.nameCommitment)).to.deep.equal([commit("Other Employee")]);
+        });
+
+        it("Should page through an employee's records in assignment order", async function () {
+            await contract.connect(trainer).createTrainingRecord(employee.address, commit(NAME), "security-awareness");
+
+            const [records, total] = await contract.connect(employee).getEmployeeRecordsPage(employee.address, 1, 10);
+            expect(total).to.equal(2);
+            expect(records.map(record => record.id)).to.deep.equal([2n]);
+            expect(records[0].trainingModule).to.equal("security-awareness");
+        });
+
+        it("Should return an empty page past the end, even for a huge offset", async function () {
+            const [records, total] = await contract.connect(trainer).getTrainingRecordsPage(ethers.MaxUint256, 10);
+            expect(records).to.be.empty;
+            expect(total).to.equal(2);
+
+            const [own] = await contract.connect(employee).getEmployeeRecordsPage(employee.address, 5, 10);
+            expect(own).to.be.empty;
+        });
+
+        it("Should reject empty and oversized pages", async function () {
+            const maxPageSize = await contract.MAX_PAGE_SIZE();
+
+            await expect(contract.connect(trainer).getTrainingRecordsPage(0, 0))
+                .to.be.revertedWith("Invalid page size");
+            await expect(contract.connect(trainer).getTrainingRecordsPage(0, maxPageSize + 1n))
+                .to.be.revertedWith("Invalid page size");
+            await expect(contract.connect(employee).getEmployeeRecordsPage(employee.address, 0, maxPageSize + 1n))
+                .to.be.revertedWith("Invalid page size");
+        });
+    });
+});
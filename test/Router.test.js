@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { parseRoute, routePath } = require("../lib/router");
+
+/**
+ * @title Router Tests
+ * @notice Checks the hash routes behind the web app's deep links.
+ * No contract deployment needed.
+ */
+describe("Router", function () {
+
+    const ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+    it("Should treat an empty hash as the dashboard", function () {
+        ["", "#", "#/", undefined].forEach(hash => {
+            expect(parseRoute(hash)).to.deep.equal({ name: "dashboard", params: {} });
+        });
+    });
+
+    it("Should parse record, employee, module and verify routes", function () {
+        expect(parseRoute("#/record/12")).to.deep.equal({ name: "record", params: { id: 12 } });
+        expect(parseRoute(`#/employee/${ADDRESS}`)).to.deep.equal({ name: "employee", params: { address: ADDRESS } });
+        expect(parseRoute("#/module/gdpr%20compliance")).to.deep.equal({ name: "module", params: { id: "gdpr compliance" } });
+        expect(parseRoute("#/verify/0")).to.deep.equal({ name: "verify", params: { id: 0 } });
+    });
+
+    it("Should reject malformed parameters and unknown routes", function () {
+        [
+            "#/record/abc",
+            "#/record/-1",
+            "#/verify/1e3",
+            "#/employee/0x1234",
+            "#/module/%E0%A4%A",
+            "#/record/1/extra",
+            "#/constructor/1",
+            "#/settings"
+        ].forEach(hash => {
+            expect(parseRoute(hash).name, hash).to.equal("notFound");
+        });
+    });
+
+    it("Should build paths that parse back to the same route", function () {
+        expect(routePath("dashboard")).to.equal("#/");
+        expect(routePath("record", { id: 5 })).to.equal("#/record/5");
+
+        const moduleId = "incident/response & recovery";
+        expect(parseRoute(routePath("module", { id: moduleId })).params.id).to.equal(moduleId);
+        expect(parseRoute(routePath("employee", { address: ADDRESS })).params.address).to.equal(ADDRESS);
+        expect(() => routePath("settings")).to.throw("Unknown route");
+    });
+});
@@ -0,0 +1,41 @@
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+/**
+ * @title Contract Test Helpers
+ * @notice Shared by the contract suites. Completions and decryptions go through
+ * lib/privacy-training-client.mjs, the same client the web app and scripts use, so the suites
+ * exercise the encrypted path the app takes.
+ * @dev The client is an ES module, so it is loaded with a dynamic import on first use.
+ */
+
+// Stands in for a salted commitment from lib/record-details.mjs; the contract can't tell them apart
+const commit = (value) => (value ? ethers.id(value) : ethers.ZeroHash);
+
+let clientModule = null;
+
+async function clientFor(contract, signer) {
+    clientModule = clientModule || (await import("../lib/privacy-training-client.mjs"));
+    return new clientModule.PrivacyTrainingClient(await contract.getAddress(), signer);
+}
+
+// One input holds (completed, certified, score), bound to the contract and the sender
+async function encryptCompletion(contract, sender, completed, certified, score) {
+    return (await clientFor(contract, sender)).encryptCompletion(fhevm, { completed, certified, score });
+}
+
+// The contract takes no plaintext outcome, so every completion goes through an encrypted input.
+// The client checks the sender's role first: call the contract directly to test its own checks.
+async function completeTraining(contract, sender, recordId, completed, certified, score, notesCommitment) {
+    const client = await clientFor(contract, sender);
+    const encrypted = await client.encryptCompletion(fhevm, { completed, certified, score });
+    return client.completeTrainingEncrypted(recordId, encrypted, notesCommitment);
+}
+
+// Scores are euint64 handles; the signer must be on the record's ACL to decrypt one
+async function decryptScore(contract, recordId, signer) {
+    const { score } = await (await clientFor(contract, signer)).getEncryptedStatus(recordId);
+    return fhevm.userDecryptEuint(FhevmType.euint64, score, await contract.getAddress(), signer);
+}
+
+module.exports = { commit, clientFor, encryptCompletion, completeTraining, decryptScore };